@@ -2,127 +2,220 @@
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const cheerio = require('cheerio');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const net = require('net');
+const dns = require('dns');
+const nodemailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+    // Keep the exact bytes so webhook signatures can be verified
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // API Keys
 const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const GHL_WEBHOOK_SECRET = process.env.GHL_WEBHOOK_SECRET;
+const GHL_ALLOW_UNSIGNED = process.env.GHL_ALLOW_UNSIGNED === '1'; // Local testing only
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const SERPAPI_KEY = process.env.SERPAPI_KEY;
+const GHL_API_KEY = process.env.GHL_API_KEY;
+const GHL_LOCATION_ID = process.env.GHL_LOCATION_ID;
+
+// Email delivery: 'outbox' writes messages to disk for local testing
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'outbox';
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Molaison AI <access@molaison.ai>';
+const OUTBOX_DIR = process.env.OUTBOX_DIR || path.join(__dirname, 'data', 'outbox');
+const APP_URL = process.env.APP_URL || 'https://molaison.ai';
+const QUOTA_WARNING_THRESHOLD = 0.8;
+const mailer = createMailTransport(EMAIL_TRANSPORT);
+
+// SERP data: 'serpapi' (live) or 'fixture' (JSON files, for offline testing)
+const SERP_PROVIDER = process.env.SERP_PROVIDER || (SERPAPI_KEY ? 'serpapi' : 'fixture');
+const SERP_FIXTURES_DIR = process.env.SERP_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'serp');
+const SERP_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const serpProvider = createSerpProvider(SERP_PROVIDER);
+const serpCache = new Map();
+
+// LLM for AI recommendations: 'openai', 'anthropic', 'local' (any OpenAI-compatible
+// server at LLM_BASE_URL) or 'mock' (deterministic, for tests). None skips the AI stage.
+const LLM_PROVIDER = process.env.LLM_PROVIDER || (OPENAI_API_KEY ? 'openai' : ANTHROPIC_API_KEY ? 'anthropic' : null);
+const LLM_DEFAULT_MODELS = { openai: 'gpt-4o-mini', anthropic: 'claude-3-5-haiku-latest', local: 'llama3.1', mock: 'mock' };
+const LLM_MODEL = process.env.LLM_MODEL || LLM_DEFAULT_MODELS[LLM_PROVIDER];
+const LLM_BASE_URL = process.env.LLM_BASE_URL || 'http://localhost:11434/v1';
+const LLM_MAX_TOKENS = 1500;
+const llmProvider = LLM_PROVIDER ? createLLMProvider(LLM_PROVIDER, LLM_MODEL) : null;
 
-// Simple storage
-let customers = new Map();
-let customerCount = 0;
+// Answer engines queried by GEO visibility checks (comma-separated provider names)
+const GEO_VISIBILITY_PROVIDERS = (process.env.GEO_VISIBILITY_PROVIDERS || LLM_PROVIDER || '')
+    .split(',').map(name => name.trim()).filter(Boolean);
+const geoVisibilityProviders = GEO_VISIBILITY_PROVIDERS
+    .map(name => name === LLM_PROVIDER ? llmProvider : createLLMProvider(name));
+
+// Access code resends: per address and per client IP, within one hour
+const resendLimits = {
+    email: createRateLimiter(60 * 60 * 1000, 3),
+    ip: createRateLimiter(60 * 60 * 1000, 10)
+};
+
+// Storage: SQLite by default, in-memory for tests (STORAGE_DRIVER=memory)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'sqlite';
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'data', 'molaison.db');
+const storage = createStorage(STORAGE_DRIVER);
 const MAX_CUSTOMERS = 1000;
 
-// Add test customer for demo
-customers.set('test@example.com', {
-    email: 'test@example.com',
-    name: 'Test User',
-    accessCode: 'TEST123',
-    joinDate: new Date(),
-    paymentAmount: 97,
-    sessionToken: null,
-    lastLogin: null
-});
-customerCount = 1;
+// Sessions slide forward on use but never outlive the absolute lifetime
+const SESSION_IDLE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_MAX_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000;
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_SESSIONS_PER_CUSTOMER = 10;
+
+// Analysis types with score history
+const HISTORY_TYPES = ['seo', 'technical-seo', 'geo', 'geo-visibility'];
+
+// Scheduled audits
+const MAX_MONITORS_PER_CUSTOMER = 20;
+const MONITOR_MIN_INTERVAL_MS = 60 * 60 * 1000; // No schedule may run more than hourly
+const MONITOR_DEFAULT_SCORE_DROP = 10;
+const MONITOR_STAGES = ['technical', 'geo', 'links'];
+
+// GEO visibility (AI answer-engine mentions)
+const GEO_VISIBILITY_MAX_PROMPTS = 10;
+const GEO_VISIBILITY_MAX_COMPETITORS = 10;
+const GEO_VISIBILITY_CONCURRENCY = 3;
+const GEO_VISIBILITY_STAGES = ['answers', 'geo'];
+
+// Competitor comparison
+const COMPARE_MAX_COMPETITORS = 5;
+const COMPARE_CONCURRENCY = 3;
+const COMPARE_KEYWORD_GAP_LIMIT = 25;
+const COMPARISON_STAGES = ['analyze', 'compare'];
+
+// Schema generator
+const SCHEMA_GENERATOR_TYPES = ['FAQPage', 'Article', 'BreadcrumbList', 'Organization', 'LocalBusiness'];
+const SCHEMA_FAQ_MAX_QUESTIONS = 20;
+const SCHEMA_ANSWER_MAX_LENGTH = 1500;
+
+// Exported reports
+const REPORT_FORMATS = ['html', 'pdf', 'csv'];
+const DEFAULT_BRANDING = {
+    companyName: 'Molaison AI',
+    logoUrl: null,
+    primaryColor: '#1f3a93',
+    accentColor: '#f39c12'
+};
+const BRANDING_LOGO_MAX_BYTES = 2 * 1024 * 1024;
+
+// Plans are derived from paymentAmount; the highest threshold paid wins
+const PLANS = [
+    { name: 'agency', minPayment: 297, dailyLimit: 200, monthlyLimit: 3000 },
+    { name: 'pro', minPayment: 197, dailyLimit: 100, monthlyLimit: 1500 },
+    { name: 'starter', minPayment: 0, dailyLimit: 25, monthlyLimit: 300 }
+];
+
+// Background jobs (jobId -> job)
+const jobs = new Map();
+const jobQueue = [];
+let runningJobs = 0;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_RETENTION_MS = 60 * 60 * 1000; // Finished jobs are kept for 1 hour
+const SEO_ANALYSIS_STAGES = ['pagespeed', 'technical', 'links', 'keywords', 'targeting', 'ai'];
+
+class JobCancelledError extends Error {
+    constructor() {
+        super('Job cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+// Crawler limits
+const CRAWL_DEFAULT_DEPTH = 2;
+const CRAWL_DEFAULT_PAGES = 25;
+const CRAWL_MAX_DEPTH = 5;
+const CRAWL_MAX_PAGES = 200;
+const CRAWL_MAX_DELAY_MS = 30 * 1000; // Longer robots.txt Crawl-delays are capped so crawls can finish
+const CRAWLER_USER_AGENT = 'MolaisonAI-Bot';
+
+// Link checker limits
+const LINK_CHECK_DEFAULT_LINKS = 100;
+const LINK_CHECK_MAX_LINKS = 500;
+const LINK_CHECK_CONCURRENCY = parseInt(process.env.LINK_CHECK_CONCURRENCY, 10) || 8;
+const LINK_CHECK_HOST_INTERVAL_MS = 200; // Minimum gap between requests to one host
+const LINK_CHECK_MAX_REDIRECTS = 10;
+const hostNextRequestAt = new Map();
+
+// Shared page cache (url -> fetched page), used by every analyzer
+const pageCache = new Map();
+const pendingFetches = new Map();
+const PAGE_CACHE_TTL_MS = parseInt(process.env.PAGE_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+const PAGE_CACHE_MAX_ENTRIES = 500;
+const FETCH_USER_AGENT = 'Mozilla/5.0 (compatible; MolaisonAI-Bot/1.0)';
 
 // 1. HEALTH CHECK
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
+    const customerCount = await storage.countCustomers('active');
+    
     res.json({
         message: 'Molaison AI Backend is running!',
         customers: customerCount,
         maxCustomers: MAX_CUSTOMERS,
         spotsLeft: MAX_CUSTOMERS - customerCount,
-        features: ['Real SEO Analysis', 'Real Broken Links', 'Real Keywords', 'Real GEO Analysis', 'Real Technical SEO']
+        features: ['Real SEO Analysis', 'Real Broken Links', 'Real Keywords', 'Real GEO Analysis', 'Real Technical SEO', 'Site Crawler']
     });
 });
 
 // 2. ENHANCED SEO ANALYSIS
-app.post('/api/analyze-seo', async (req, res) => {
+app.post('/api/analyze-seo', validateToken, async (req, res) => {
     try {
-        const { url, keywords, customerId } = req.body;
+        const { url, keywords, customerId, async: runAsync } = req.body;
         
         if (!url) {
             return res.status(400).json({ error: 'URL is required' });
         }
         
-        console.log(`Running SEO analysis for: ${url}`);
-        
-        const results = {
-            url: url,
-            timestamp: new Date(),
-            scores: {},
-            issues: [],
-            opportunities: [],
-            technical: {},
-            recommendations: [],
-            brokenLinks: [],
-            extractedKeywords: []
-        };
-        
-        // Google PageSpeed Analysis
-        if (GOOGLE_API_KEY) {
-            try {
-                const pageSpeedData = await getPageSpeedInsights(url);
-                results.scores.pageSpeed = pageSpeedData.score;
-                results.technical.loadTime = pageSpeedData.loadTime;
-            } catch (error) {
-                console.log('PageSpeed API error:', error.message);
-                results.scores.pageSpeed = 50;
-                results.technical.loadTime = 'Unknown';
-            }
+        const targetKeywords = parseTargetKeywords(keywords);
+        if (targetKeywords.error) {
+            return res.status(400).json({ error: targetKeywords.error });
         }
         
-        // Basic technical analysis
-        try {
-            const technicalData = await analyzeTechnicalSEO(url);
-            results.technical = { ...results.technical, ...technicalData };
-        } catch (error) {
-            console.log('Technical analysis error:', error.message);
-        }
+        if (!await chargeQuota(req, res)) return;
         
-        // Simple broken links check
-        try {
-            const brokenLinksData = await checkBrokenLinks(url);
-            results.brokenLinks = brokenLinksData.brokenLinks;
-            results.technical.totalLinks = brokenLinksData.totalLinks;
-        } catch (error) {
-            console.log('Broken links error:', error.message);
-            results.brokenLinks = [];
-        }
+        const options = { targetKeywords: targetKeywords.keywords, customer: req.customer };
         
-        // Simple keyword extraction
-        try {
-            const keywordData = await extractKeywords(url);
-            results.extractedKeywords = keywordData.keywords;
-        } catch (error) {
-            console.log('Keyword extraction error:', error.message);
-            results.extractedKeywords = [];
+        // Long-running analyses can be submitted as a job and polled via GET /api/jobs/:id
+        if (runAsync) {
+            const job = createJob('seo-analysis', { url, keywords: options.targetKeywords }, SEO_ANALYSIS_STAGES, async job => {
+                const results = await runSEOAnalysis(url, job, options);
+                results.analysisId = await recordAnalysis('seo', url, results, req.customer);
+                return results;
+            }, req.customer);
+            console.log(`SEO analysis job ${job.id} queued for: ${url}`);
+            
+            return res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                message: 'SEO analysis queued'
+            });
         }
         
-        // AI recommendations
-        if (OPENAI_API_KEY) {
-            try {
-                const aiAnalysis = await getAIRecommendations(url);
-                results.recommendations = aiAnalysis.recommendations;
-            } catch (error) {
-                console.log('AI analysis error:', error.message);
-                results.recommendations = [
-                    'Optimize page titles for target keywords',
-                    'Add meta descriptions to improve CTR',
-                    'Improve page loading speed',
-                    'Add structured data markup'
-                ];
-            }
-        }
+        console.log(`Running SEO analysis for: ${url}`);
         
-        // Generate issues and opportunities
-        results.issues = generateIssues(results.technical, results.brokenLinks);
-        results.opportunities = generateOpportunities(results.technical);
-        results.scores.overall = calculateOverallScore(results);
+        const results = await runSEOAnalysis(url, null, options);
+        results.analysisId = await recordAnalysis('seo', url, results, req.customer);
         
         res.json({
             success: true,
@@ -137,17 +230,20 @@ app.post('/api/analyze-seo', async (req, res) => {
 });
 
 // 3. BROKEN LINKS ANALYSIS
-app.post('/api/analyze-broken-links', async (req, res) => {
+app.post('/api/analyze-broken-links', validateToken, async (req, res) => {
     try {
-        const { url } = req.body;
+        const { url, maxLinks } = req.body;
         
         if (!url) {
             return res.status(400).json({ error: 'URL is required' });
         }
         
+        if (!await chargeQuota(req, res)) return;
+        
         console.log(`Analyzing broken links for: ${url}`);
         
-        const brokenLinksData = await checkBrokenLinks(url);
+        const brokenLinksData = await checkBrokenLinks(url, null, { maxLinks });
+        brokenLinksData.analysisId = await recordAnalysis('broken-links', url, brokenLinksData, req.customer);
         
         res.json({
             success: true,
@@ -162,7 +258,7 @@ app.post('/api/analyze-broken-links', async (req, res) => {
 });
 
 // 4. KEYWORD EXTRACTION
-app.post('/api/extract-keywords', async (req, res) => {
+app.post('/api/extract-keywords', validateToken, async (req, res) => {
     try {
         const { url } = req.body;
         
@@ -170,9 +266,12 @@ app.post('/api/extract-keywords', async (req, res) => {
             return res.status(400).json({ error: 'URL is required' });
         }
         
+        if (!await chargeQuota(req, res)) return;
+        
         console.log(`Extracting keywords for: ${url}`);
         
         const keywordData = await extractKeywords(url);
+        keywordData.analysisId = await recordAnalysis('keywords', url, keywordData, req.customer);
         
         res.json({
             success: true,
@@ -187,7 +286,7 @@ app.post('/api/extract-keywords', async (req, res) => {
 });
 
 // 5. REAL TECHNICAL SEO ANALYSIS
-app.post('/api/analyze-technical-seo', async (req, res) => {
+app.post('/api/analyze-technical-seo', validateToken, async (req, res) => {
     try {
         const { url } = req.body;
         
@@ -195,9 +294,12 @@ app.post('/api/analyze-technical-seo', async (req, res) => {
             return res.status(400).json({ error: 'URL is required' });
         }
         
+        if (!await chargeQuota(req, res)) return;
+        
         console.log(`Running real technical SEO analysis for: ${url}`);
         
         const techData = await analyzeRealTechnicalSEO(url);
+        techData.analysisId = await recordAnalysis('technical-seo', url, techData, req.customer);
         
         res.json({
             success: true,
@@ -212,7 +314,7 @@ app.post('/api/analyze-technical-seo', async (req, res) => {
 });
 
 // 6. SERP COMPETITION ANALYSIS
-app.post('/api/analyze-serp-competition', async (req, res) => {
+app.post('/api/analyze-serp-competition', validateToken, async (req, res) => {
     try {
         const { keyword, location = 'United States' } = req.body;
         
@@ -220,19 +322,22 @@ app.post('/api/analyze-serp-competition', async (req, res) => {
             return res.status(400).json({ error: 'Keyword is required' });
         }
         
+        if (!await chargeQuota(req, res)) return;
+        
         console.log(`Analyzing SERP competition for: ${keyword}`);
         
-        // Simulate SERP analysis (in production, you'd use Google Search API or scraping)
-        const serpFeatures = {
-            featuredSnippet: Math.random() > 0.7,
-            localPack: Math.random() > 0.6,
-            knowledgeGraph: Math.random() > 0.5,
-            peopleAlsoAsk: Math.random() > 0.3,
-            videoCarousel: Math.random() > 0.4,
-            imagesPack: Math.random() > 0.5,
-            shoppingResults: Math.random() > 0.8,
-            ads: Math.random() > 0.2 ? Math.floor(Math.random() * 4) + 1 : 0
-        };
+        let serp;
+        try {
+            serp = await getSerpResults(keyword, location);
+        } catch (error) {
+            console.log('SERP provider error:', error.message);
+            return res.status(502).json({
+                success: false,
+                error: 'SERP data unavailable: ' + error.message
+            });
+        }
+        
+        const serpFeatures = serp.serpFeatures;
         
         // Calculate competition level
         let competitionScore = 0;
@@ -326,15 +431,21 @@ app.post('/api/analyze-serp-competition', async (req, res) => {
             opportunity: opportunity,
             recommendedStrategy: strategy,
             serpFeatures: serpFeatures,
+            organicResults: serp.organicResults,
             pivotRecommendations: pivotRecommendations,
             analysis: {
                 totalSerpFeatures: serpComplexity,
                 adsCount: serpFeatures.ads,
-                organicSpots: 10 - serpFeatures.ads,
+                organicSpots: Math.max(0, 10 - serpFeatures.ads),
+                organicResultsCount: serp.organicResults.length,
                 difficulty: serpType
-            }
+            },
+            provider: serp.provider,
+            retrievedAt: serp.retrievedAt
         };
         
+        results.analysisId = await recordAnalysis('serp-competition', keyword, results, req.customer);
+        
         res.json({
             success: true,
             data: results,
@@ -351,7 +462,7 @@ app.post('/api/analyze-serp-competition', async (req, res) => {
 });
 
 // 7. REAL GEO ANALYSIS
-app.post('/api/analyze-geo', async (req, res) => {
+app.post('/api/analyze-geo', validateToken, async (req, res) => {
     try {
         const { url, topic } = req.body;
         
@@ -359,9 +470,14 @@ app.post('/api/analyze-geo', async (req, res) => {
             return res.status(400).json({ error: 'URL is required' });
         }
         
+        if (!await chargeQuota(req, res)) return;
+        
         console.log(`Running real GEO analysis for: ${url}`);
         
         const geoData = await analyzeGEOOptimization(url, topic);
+        // Brand mentions in AI answers, from the latest visibility check (route 28)
+        geoData.aiVisibility = await getLatestVisibility(req.customer, url);
+        geoData.analysisId = await recordAnalysis('geo', url, geoData, req.customer);
         
         res.json({
             success: true,
@@ -390,7 +506,7 @@ app.post('/api/verify-access', async (req, res) => {
         console.log(`Access verification attempt for: ${email}`);
         
         // Check if customer exists and has valid access
-        const customer = customers.get(email.toLowerCase());
+        const customer = await storage.getCustomer(email.toLowerCase());
         
         if (!customer) {
             return res.status(401).json({ 
@@ -406,14 +522,30 @@ app.post('/api/verify-access', async (req, res) => {
             });
         }
         
-        // Generate session token
-        const token = crypto.randomBytes(32).toString('hex');
-        customer.sessionToken = token;
+        if (customer.status === 'waitlisted') {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'All spots are currently taken. You are on the waitlist and will be emailed when access opens.' 
+            });
+        }
+        
+        if (customer.status !== 'active') {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Access for this account has been revoked.' 
+            });
+        }
+        
+        // Generate session token (each device gets its own session)
+        const { token, session } = await createCustomerSession(customer, req);
+        
         customer.lastLogin = new Date();
+        await storage.saveCustomer(customer);
         
         res.json({
             success: true,
             token: token,
+            expiresAt: session.expiresAt,
             message: 'Access verified successfully',
             user: {
                 email: customer.email,
@@ -430,41 +562,53 @@ app.post('/api/verify-access', async (req, res) => {
     }
 });
 
-// 8. GHL WEBHOOK - Customer Registration
+// 8. GHL WEBHOOK - Customer registration, refunds and cancellations
 app.post('/api/ghl-webhook', async (req, res) => {
     try {
-        const { contact, payment } = req.body;
+        if (!verifyGHLSignature(req)) {
+            return res.status(401).json({ error: 'Invalid webhook signature' });
+        }
+        
+        const { contact } = req.body;
         
         if (!contact || !contact.email) {
             return res.status(400).json({ error: 'Invalid webhook data' });
         }
         
-        console.log(`New customer registration: ${contact.email}`);
-        
-        // Generate access code
-        const accessCode = crypto.randomBytes(4).toString('hex').toUpperCase();
-        
-        // Store customer
-        const customerData = {
-            email: contact.email.toLowerCase(),
-            name: contact.firstName + ' ' + (contact.lastName || ''),
-            accessCode: accessCode,
-            joinDate: new Date(),
-            paymentAmount: payment?.amount || 97,
-            sessionToken: null,
-            lastLogin: null
+        // Deliveries are idempotent by event ID; GHL retries reuse it. Claiming
+        // the ID is atomic, so concurrent copies of one delivery run it once.
+        const event = {
+            id: getGHLEventId(req),
+            type: getGHLEventType(req.body),
+            payload: req.body,
+            status: 'processing',
+            receivedAt: new Date(),
+            processedAt: null,
+            result: null,
+            error: null
         };
         
-        customers.set(contact.email.toLowerCase(), customerData);
-        customerCount++;
+        if (!await storage.claimWebhookEvent(event)) {
+            const existing = await storage.getWebhookEvent(event.id);
+            console.log(`Duplicate webhook event ignored: ${event.id} (${existing.status})`);
+            
+            if (existing.status !== 'processed') {
+                return res.status(409).json({ error: 'Event is already being processed' });
+            }
+            return res.json({
+                success: true,
+                duplicate: true,
+                result: existing.result,
+                message: 'Event already processed'
+            });
+        }
         
-        // TODO: Send email with access code via GHL
-        console.log(`Access code for ${contact.email}: ${accessCode}`);
+        const result = await processWebhookEvent(event);
         
         res.json({
             success: true,
-            accessCode: accessCode,
-            message: 'Customer registered successfully'
+            result: result,
+            message: 'Webhook processed successfully'
         });
         
     } catch (error) {
@@ -473,783 +617,7433 @@ app.post('/api/ghl-webhook', async (req, res) => {
     }
 });
 
-// 9. TOKEN VALIDATION MIDDLEWARE
-function validateToken(req, res, next) {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
-    }
-    
-    // Find customer by token
-    const customer = Array.from(customers.values()).find(c => c.sessionToken === token);
-    
-    if (!customer) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
-    }
-    
-    req.customer = customer;
-    next();
-}
-
-// Helper Functions
-async function getPageSpeedInsights(url) {
-    const response = await axios.get(`https://www.googleapis.com/pagespeed/insights/v5/runPagespeed`, {
-        params: { url: url, key: GOOGLE_API_KEY, strategy: 'mobile' },
-        timeout: 30000
-    });
-    
-    const data = response.data;
-    const score = Math.round(data.lighthouseResult.categories.performance.score * 100);
-    const loadTime = data.lighthouseResult.audits['speed-index'].displayValue;
-    
-    return { score, loadTime };
-}
-
-async function analyzeTechnicalSEO(url) {
-    const response = await axios.get(url, {
-        timeout: 15000,
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; MolaisonAI-Bot/1.0)' }
-    });
-    
-    const html = response.data;
-    
-    return {
-        hasTitle: html.includes('<title>') && !html.includes('<title></title>'),
-        hasMetaDescription: html.includes('name="description"'),
-        hasH1: html.includes('<h1'),
-        hasSchemaMarkup: html.includes('application/ld+json'),
-        hasSSL: url.startsWith('https://'),
-        imageCount: (html.match(/<img/g) || []).length,
-        linkCount: (html.match(/<a /g) || []).length
-    };
-}
-
-// COMPREHENSIVE TECHNICAL SEO ANALYSIS
-async function analyzeRealTechnicalSEO(url) {
+// 9. RESEND ACCESS CODE - Issues a fresh code by email
+app.post('/api/resend-access-code', async (req, res) => {
     try {
-        const response = await axios.get(url, {
-            timeout: 15000,
-            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; MolaisonAI-Bot/1.0)' },
-            maxRedirects: 5
-        });
-        
-        const html = response.data;
-        const headers = response.headers;
+        const { email } = req.body;
         
-        // Initialize technical scores
-        const scores = {
-            crawlability: 0,
-            mobileFriendly: 0,
-            siteSpeed: 0,
-            security: 0,
-            htmlStructure: 0,
-            metaData: 0
-        };
-        
-        const issues = [];
-        const recommendations = [];
+        if (!email) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Email is required' 
+            });
+        }
         
-        // 1. CRAWLABILITY ANALYSIS (100 points possible)
-        let crawlScore = 50; // Base score
+        const normalizedEmail = String(email).toLowerCase().trim();
+        const blocked = [resendLimits.ip.hit(req.ip), resendLimits.email.hit(normalizedEmail)]
+            .find(limit => !limit.allowed);
         
-        // Check robots.txt
-        try {
-            const robotsUrl = new URL('/robots.txt', url).href;
-            const robotsResponse = await axios.get(robotsUrl, { timeout: 5000 });
-            if (robotsResponse.status === 200) {
-                crawlScore += 15;
-                if (robotsResponse.data.includes('Sitemap:')) {
-                    crawlScore += 10;
-                }
-            }
-        } catch (error) {
-            issues.push('No robots.txt file found');
-            recommendations.push('Create a robots.txt file to guide search engine crawlers');
+        if (blocked) {
+            res.set('Retry-After', String(Math.ceil(blocked.retryAfterMs / 1000)));
+            return res.status(429).json({ 
+                success: false, 
+                message: 'Too many requests. Please try again later.' 
+            });
         }
         
-        // Check XML sitemap
-        try {
-            const sitemapUrl = new URL('/sitemap.xml', url).href;
-            const sitemapResponse = await axios.get(sitemapUrl, { timeout: 5000 });
-            if (sitemapResponse.status === 200 && sitemapResponse.data.includes('<urlset')) {
-                crawlScore += 15;
-            }
-        } catch (error) {
-            issues.push('No XML sitemap found');
-            recommendations.push('Create an XML sitemap to help search engines discover your pages');
-        }
+        const customer = await storage.getCustomer(normalizedEmail);
         
-        // Check meta robots
-        if (html.includes('name="robots"')) {
-            if (!html.includes('noindex') && !html.includes('nofollow')) {
-                crawlScore += 10;
-            }
-        } else {
-            crawlScore += 5; // Default is crawlable
+        if (customer && customer.status === 'active') {
+            customer.accessCode = generateAccessCode();
+            await storage.saveCustomer(customer);
+            await sendEmail('access-code-reset', customer.email, {
+                name: customer.name,
+                accessCode: customer.accessCode
+            });
         }
         
-        scores.crawlability = Math.min(100, crawlScore);
+        // Same answer whether or not the address exists
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a new access code has been sent.'
+        });
         
-        // 2. MOBILE-FRIENDLY ANALYSIS
-        let mobileScore = 30; // Base score
+    } catch (error) {
+        console.error('Resend access code error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Failed to resend access code. Please try again.' 
+        });
+    }
+});
+
+// 10. WEBHOOK EVENT LOG - Inspect and replay stored deliveries (admin only)
+app.get('/api/admin/webhook-events', requireAdmin, async (req, res) => {
+    try {
+        const events = await storage.listWebhookEvents({
+            status: req.query.status,
+            limit: clampNumber(req.query.limit, 1, 500, 100)
+        });
         
-        // Check viewport meta tag
-        if (html.includes('name="viewport"')) {
-            mobileScore += 25;
-            if (html.includes('width=device-width')) {
-                mobileScore += 15;
-            }
-        } else {
-            issues.push('Missing viewport meta tag');
-            recommendations.push('Add viewport meta tag for mobile responsiveness');
-        }
+        res.json({
+            success: true,
+            data: events
+        });
         
-        // Check responsive design indicators
-        if (html.includes('@media') || html.includes('responsive') || html.includes('mobile')) {
-            mobileScore += 15;
-        }
+    } catch (error) {
+        console.error('Webhook event list error:', error);
+        res.status(500).json({ error: 'Failed to list webhook events' });
+    }
+});
+
+app.post('/api/admin/webhook-events/:id/replay', requireAdmin, async (req, res) => {
+    try {
+        const event = await storage.getWebhookEvent(req.params.id);
         
-        // Check for mobile-unfriendly elements
-        if (html.includes('flash') || html.includes('.swf')) {
-            mobileScore -= 20;
-            issues.push('Flash content detected (not mobile-friendly)');
+        if (!event) {
+            return res.status(404).json({ error: 'Webhook event not found' });
         }
         
-        scores.mobileFriendly = Math.min(100, mobileScore);
+        console.log(`Replaying webhook event: ${event.id}`);
+        const result = await processWebhookEvent(event);
         
-        // 3. SECURITY ANALYSIS
-        let securityScore = 0;
+        res.json({
+            success: true,
+            result: result,
+            message: 'Webhook event replayed'
+        });
         
-        // HTTPS check
-        if (url.startsWith('https://')) {
-            securityScore += 30;
-        } else {
-            issues.push('Website not using HTTPS');
-            recommendations.push('Migrate to HTTPS for security and SEO benefits');
-        }
+    } catch (error) {
+        console.error('Webhook replay error:', error);
+        res.status(500).json({ error: 'Webhook replay failed: ' + error.message });
+    }
+});
+
+// 11. TOKEN VALIDATION MIDDLEWARE
+async function validateToken(req, res, next) {
+    try {
+        const token = req.headers.authorization?.replace('Bearer ', '');
         
-        // Security headers check
-        if (headers['strict-transport-security']) {
-            securityScore += 15;
-        }
-        if (headers['x-frame-options']) {
-            securityScore += 10;
-        }
-        if (headers['x-content-type-options']) {
-            securityScore += 10;
-        }
-        if (headers['content-security-policy']) {
-            securityScore += 15;
+        if (!token) {
+            return res.status(401).json({ error: 'Access token required' });
         }
         
-        // Mixed content check
-        if (url.startsWith('https://') && html.includes('http://')) {
-            securityScore -= 10;
-            issues.push('Mixed content detected (HTTP resources on HTTPS page)');
-        }
+        // Sessions are indexed by a hash of the token, never the token itself
+        const session = await storage.getSessionByTokenHash(hashToken(token));
         
-        // Basic security indicators
-        if (!html.includes('password') || html.includes('autocomplete="off"')) {
-            securityScore += 10;
+        if (!session || session.expiresAt <= new Date()) {
+            if (session) await storage.deleteSession(session.id);
+            return res.status(401).json({ error: 'Invalid or expired token' });
         }
         
-        scores.security = Math.min(100, Math.max(0, securityScore));
-        
-        // 4. HTML STRUCTURE ANALYSIS
-        let structureScore = 20; // Base score
+        const customer = await storage.getCustomer(session.customerEmail);
         
-        // Title tag
-        const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-        if (titleMatch && titleMatch[1].trim().length > 0) {
-            structureScore += 15;
-            if (titleMatch[1].length <= 60) {
-                structureScore += 5;
-            }
-        } else {
-            issues.push('Missing or empty title tag');
+        if (!customer || customer.status !== 'active') {
+            return res.status(401).json({ error: 'Invalid or expired token' });
         }
         
-        // H1 tag
-        if (html.includes('<h1')) {
-            structureScore += 15;
-        } else {
-            issues.push('Missing H1 heading');
-        }
+        await renewSession(session);
         
-        // Meta description
-        if (html.includes('name="description"')) {
-            structureScore += 15;
-        } else {
-            issues.push('Missing meta description');
-        }
+        req.customer = customer;
+        req.session = session;
+        next();
+    } catch (error) {
+        console.error('Token validation error:', error);
+        res.status(500).json({ error: 'Token validation failed' });
+    }
+}
+
+// ADMIN MIDDLEWARE
+function requireAdmin(req, res, next) {
+    const key = req.headers['x-admin-key'];
+    
+    if (!ADMIN_API_KEY || !key || !safeEqual(key, ADMIN_API_KEY)) {
+        return res.status(401).json({ error: 'Admin key required' });
+    }
+    
+    next();
+}
+
+// 12. SESSIONS - Logout, list and revoke devices
+app.post('/api/logout', validateToken, async (req, res) => {
+    try {
+        await storage.deleteSession(req.session.id);
         
-        // Language declaration
-        if (html.includes('lang=') || html.includes('<html lang')) {
-            structureScore += 10;
-        } else {
-            recommendations.push('Add language declaration to HTML tag');
-        }
-        
-        // Alt text for images
-        const images = html.match(/<img[^>]*>/gi) || [];
-        const imagesWithAlt = images.filter(img => img.includes('alt=')).length;
-        const altTextRatio = images.length > 0 ? (imagesWithAlt / images.length) * 100 : 100;
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
         
-        if (altTextRatio >= 80) {
-            structureScore += 15;
-        } else if (altTextRatio >= 50) {
-            structureScore += 8;
-        } else {
-            issues.push(`${Math.round(100 - altTextRatio)}% of images missing alt text`);
-        }
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+app.get('/api/sessions', validateToken, async (req, res) => {
+    try {
+        const sessions = await storage.listCustomerSessions(req.customer.email);
         
-        scores.htmlStructure = Math.min(100, structureScore);
+        res.json({
+            success: true,
+            data: sessions.map(session => ({
+                id: session.id,
+                createdAt: session.createdAt,
+                lastSeenAt: session.lastSeenAt,
+                expiresAt: session.expiresAt,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                current: session.id === req.session.id
+            }))
+        });
         
-        // 5. METADATA ANALYSIS
-        let metaScore = 20; // Base score
+    } catch (error) {
+        console.error('Session list error:', error);
+        res.status(500).json({ error: 'Failed to list sessions' });
+    }
+});
+
+app.delete('/api/sessions/:id', validateToken, async (req, res) => {
+    try {
+        const sessions = await storage.listCustomerSessions(req.customer.email);
+        const session = sessions.find(s => s.id === req.params.id);
         
-        // Charset
-        if (html.includes('charset=')) {
-            metaScore += 10;
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
         }
         
-        // Open Graph tags
-        const ogTags = ['og:title', 'og:description', 'og:image', 'og:url'];
-        const ogCount = ogTags.filter(tag => html.includes(tag)).length;
-        metaScore += ogCount * 5; // 5 points per OG tag
+        await storage.deleteSession(session.id);
         
-        // Twitter Card tags
-        if (html.includes('twitter:card')) {
-            metaScore += 10;
-        }
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
         
-        // Canonical URL
-        if (html.includes('rel="canonical"')) {
-            metaScore += 15;
-        } else {
-            recommendations.push('Add canonical URL to prevent duplicate content issues');
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+// 13. SITE CRAWL - Start a multi-page crawl job
+app.post('/api/crawl-site', validateToken, async (req, res) => {
+    try {
+        const { url, maxDepth, maxPages, measurePerformance } = req.body;
+        
+        if (!url) {
+            return res.status(400).json({ error: 'URL is required' });
         }
         
-        // Structured data
-        if (html.includes('application/ld+json')) {
-            metaScore += 20;
-        } else {
-            recommendations.push('Add structured data (JSON-LD) for rich snippets');
+        try {
+            new URL(url);
+        } catch (e) {
+            return res.status(400).json({ error: 'Invalid URL' });
         }
         
-        scores.metaData = Math.min(100, metaScore);
+        const options = {
+            maxDepth: clampNumber(maxDepth, 0, CRAWL_MAX_DEPTH, CRAWL_DEFAULT_DEPTH),
+            maxPages: clampNumber(maxPages, 1, CRAWL_MAX_PAGES, CRAWL_DEFAULT_PAGES),
+            // PageSpeed and the performance estimate cost minutes per page, so they're opt-in
+            measurePerformance: measurePerformance === true
+        };
         
-        // 6. SITE SPEED ANALYSIS (Use Google PageSpeed if available)
-        let speedScore = 50; // Default
+        // One unit per page the crawl may audit
+        if (!await chargeQuota(req, res, options.maxPages)) return;
         
-        try {
-            if (process.env.GOOGLE_API_KEY) {
-                const pageSpeedData = await getPageSpeedInsights(url);
-                speedScore = pageSpeedData.score;
+        const job = createJob('site-crawl', { url, ...options }, [], async job => {
+            const result = await crawlSite(url, options, job);
+            result.analysisId = await recordAnalysis('site-crawl', url, result, req.customer);
+            return result;
+        }, req.customer);
+        console.log(`Site crawl ${job.id} queued for: ${url}`);
+        
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            message: 'Site crawl started'
+        });
+        
+    } catch (error) {
+        console.error('Site crawl error:', error);
+        res.status(500).json({ error: 'Site crawl failed: ' + error.message });
+    }
+});
+
+// 14. SITE CRAWL - Job status and results
+app.get('/api/crawl-site/:jobId', validateToken, (req, res) => {
+    const job = getCustomerJob(req.params.jobId, req.customer);
+    
+    if (!job || job.type !== 'site-crawl') {
+        return res.status(404).json({ error: 'Crawl job not found' });
+    }
+    
+    res.json({
+        success: true,
+        data: job
+    });
+});
+
+// 15. JOB STATUS - Status, per-stage progress and result of any background job
+app.get('/api/jobs/:id', validateToken, (req, res) => {
+    const job = getCustomerJob(req.params.id, req.customer);
+    
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json({
+        success: true,
+        data: job
+    });
+});
+
+// 16. JOB CANCELLATION
+app.delete('/api/jobs/:id', validateToken, (req, res) => {
+    const job = getCustomerJob(req.params.id, req.customer);
+    
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (!['queued', 'running'].includes(job.status)) {
+        return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+    
+    cancelJob(job);
+    
+    res.json({
+        success: true,
+        data: job,
+        message: 'Job cancellation requested'
+    });
+});
+
+// 17. USAGE - Plan limits and consumption for the current customer
+app.get('/api/usage', validateToken, async (req, res) => {
+    try {
+        const usage = await getQuotaUsage(req.customer);
+        const now = new Date();
+        const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+        
+        res.json({
+            success: true,
+            data: {
+                ...usage,
+                // Tokens and estimated cost of LLM calls (recommendations, visibility checks) this month
+                ai: { period: 'monthly', ...await storage.summarizeLLMUsage(req.customer.email, monthStart) }
             }
-        } catch (error) {
-            console.log('PageSpeed analysis failed, using basic metrics');
-        }
+        });
         
-        scores.siteSpeed = speedScore;
+    } catch (error) {
+        console.error('Usage error:', error);
+        res.status(500).json({ error: 'Failed to load usage: ' + error.message });
+    }
+});
+
+// 18. HISTORY - Score timeline for a URL
+app.get('/api/history', validateToken, async (req, res) => {
+    try {
+        const { url, type } = req.query;
         
-        // Generate overall recommendations
-        if (scores.crawlability < 70) {
-            recommendations.push('Improve crawlability by adding robots.txt and XML sitemap');
-        }
-        if (scores.mobileFriendly < 80) {
-            recommendations.push('Enhance mobile-friendliness with responsive design');
+        if (!url) {
+            return res.status(400).json({ error: 'URL is required' });
         }
-        if (scores.security < 80) {
-            recommendations.push('Strengthen security with HTTPS and security headers');
+        
+        if (type && !HISTORY_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Type must be one of: ${HISTORY_TYPES.join(', ')}` });
         }
-        if (scores.htmlStructure < 80) {
-            recommendations.push('Fix HTML structure issues and add missing meta tags');
+        
+        const limit = clampNumber(req.query.limit, 1, 500, 100);
+        const types = type ? [type] : HISTORY_TYPES;
+        const analyses = [];
+        
+        for (const analysisType of types) {
+            analyses.push(...await storage.listAnalyses({
+                customerEmail: req.customer.email,
+                url: normalizeAnalysisUrl(url),
+                type: analysisType,
+                limit: limit
+            }));
         }
         
-        // Calculate overall technical score
-        const overallScore = Math.round(
-            (scores.crawlability + scores.mobileFriendly + scores.security + 
-             scores.htmlStructure + scores.metaData + scores.siteSpeed) / 6
-        );
+        const timeline = analyses
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(getScoreSnapshot);
         
-        return {
-            overallScore: overallScore,
-            scores: scores,
-            issues: issues,
-            recommendations: recommendations.slice(0, 8),
-            analysis: {
-                imageCount: images.length,
-                imagesWithAlt: imagesWithAlt,
-                altTextRatio: Math.round(altTextRatio),
-                hasRobotsTxt: crawlScore > 65,
-                hasXMLSitemap: crawlScore > 80,
-                hasHTTPS: url.startsWith('https://'),
-                hasViewport: html.includes('name="viewport"'),
-                hasCanonical: html.includes('rel="canonical"'),
-                hasStructuredData: html.includes('application/ld+json'),
-                ogTagsCount: ogCount,
-                hasTwitterCard: html.includes('twitter:card')
+        res.json({
+            success: true,
+            data: {
+                url: normalizeAnalysisUrl(url),
+                runs: timeline.length,
+                timeline: timeline
             }
-        };
+        });
         
     } catch (error) {
-        return {
-            overallScore: 0,
-            scores: {
-                crawlability: 0,
-                mobileFriendly: 0,
-                siteSpeed: 0,
-                security: 0,
-                htmlStructure: 0,
-                metaData: 0
-            },
-            issues: ['Unable to analyze website technical aspects'],
-            recommendations: ['Website may be inaccessible or behind authentication'],
-            analysis: {},
-            error: error.message
-        };
+        console.error('History error:', error);
+        res.status(500).json({ error: 'Failed to load history: ' + error.message });
     }
-}
+});
 
-async function checkBrokenLinks(url) {
+// 19. HISTORY DIFF - Issues that appeared or were fixed between two runs
+app.get('/api/history/diff', validateToken, async (req, res) => {
     try {
-        const response = await axios.get(url, {
-            timeout: 15000,
-            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; MolaisonAI-Bot/1.0)' }
-        });
+        const { from, to, url, type } = req.query;
+        let fromAnalysis;
+        let toAnalysis;
+        
+        if (from && to) {
+            fromAnalysis = await storage.getAnalysis(from);
+            toAnalysis = await storage.getAnalysis(to);
+        } else if (url && type) {
+            // Default to the two most recent runs
+            const recent = await storage.listAnalyses({
+                customerEmail: req.customer.email,
+                url: normalizeAnalysisUrl(url),
+                type: type,
+                limit: 2
+            });
+            [toAnalysis, fromAnalysis] = recent;
+        } else {
+            return res.status(400).json({ error: 'Provide from and to analysis IDs, or url and type' });
+        }
         
-        const html = response.data;
-        const links = [];
-        const brokenLinks = [];
+        const owned = analysis => analysis && analysis.customerEmail === req.customer.email;
+        if (!owned(fromAnalysis) || !owned(toAnalysis)) {
+            return res.status(404).json({ error: 'Two analyses are required to compare' });
+        }
         
-        // Simple regex to find links (basic approach without cheerio)
-        const linkRegex = /<a[^>]+href=["']([^"']+)["'][^>]*>([^<]*)<\/a>/gi;
-        let match;
+        if (fromAnalysis.type !== toAnalysis.type || !HISTORY_TYPES.includes(fromAnalysis.type)) {
+            return res.status(400).json({ error: 'Analyses must be of the same type' });
+        }
         
-        while ((match = linkRegex.exec(html)) !== null) {
-            const href = match[1];
-            const text = match[2];
-            
-            if (href && !href.startsWith('#') && !href.startsWith('mailto:')) {
-                try {
-                    let absoluteUrl;
-                    if (href.startsWith('http')) {
-                        absoluteUrl = href;
-                    } else {
-                        const baseUrl = new URL(url);
-                        absoluteUrl = new URL(href, baseUrl).href;
-                    }
-                    
-                    links.push({
-                        url: absoluteUrl,
-                        text: text.trim(),
-                        isInternal: absoluteUrl.includes(new URL(url).hostname)
-                    });
-                } catch (e) {
-                    // Invalid URL, skip
-                }
-            }
+        res.json({
+            success: true,
+            data: diffAnalyses(fromAnalysis, toAnalysis)
+        });
+        
+    } catch (error) {
+        console.error('History diff error:', error);
+        res.status(500).json({ error: 'Failed to compare analyses: ' + error.message });
+    }
+});
+
+// 20. MONITORS - Register a URL for recurring audits
+app.post('/api/monitors', validateToken, async (req, res) => {
+    try {
+        const { url, schedule = '@weekly', alertEmail = true, webhookUrl, scoreDropThreshold } = req.body;
+        
+        if (!url) {
+            return res.status(400).json({ error: 'URL is required' });
         }
         
-        // Check first 20 links to avoid timeout
-        const linksToCheck = links.slice(0, 20);
+        const validationError = await validateMonitorInput(url, schedule, webhookUrl);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
         
-        for (const link of linksToCheck) {
-            try {
-                const linkResponse = await axios.head(link.url, {
-                    timeout: 5000,
-                    maxRedirects: 3,
-                    validateStatus: function (status) {
-                        return status < 500;
-                    }
-                });
-                
-                if (linkResponse.status >= 400) {
-                    brokenLinks.push({
-                        url: link.url,
-                        status: linkResponse.status,
-                        text: link.text,
-                        isInternal: link.isInternal,
-                        error: `HTTP ${linkResponse.status}`
-                    });
-                }
-                
-            } catch (error) {
-                brokenLinks.push({
-                    url: link.url,
-                    status: 0,
-                    text: link.text,
-                    isInternal: link.isInternal,
-                    error: error.code || 'Connection failed'
-                });
-            }
+        const existing = await storage.listMonitors(req.customer.email);
+        if (existing.length >= MAX_MONITORS_PER_CUSTOMER) {
+            return res.status(409).json({ error: `Monitor limit reached (${MAX_MONITORS_PER_CUSTOMER})` });
         }
         
-        return {
-            totalLinks: links.length,
-            checkedLinks: linksToCheck.length,
-            brokenLinks: brokenLinks,
-            internalLinks: links.filter(l => l.isInternal).length,
-            externalLinks: links.filter(l => !l.isInternal).length,
-            deepLinkRatio: Math.round((links.filter(l => l.isInternal && l.url !== url).length / links.length) * 100) || 0
+        const monitor = {
+            id: crypto.randomBytes(8).toString('hex'),
+            customerEmail: req.customer.email,
+            url: normalizeAnalysisUrl(url),
+            schedule: schedule,
+            alertEmail: Boolean(alertEmail),
+            webhookUrl: webhookUrl || null,
+            scoreDropThreshold: clampNumber(scoreDropThreshold, 1, 100, MONITOR_DEFAULT_SCORE_DROP),
+            enabled: true,
+            createdAt: new Date(),
+            nextRunAt: getNextCronRun(schedule, new Date()),
+            lastRunAt: null,
+            lastResult: null,
+            lastError: null
         };
         
+        await storage.saveMonitor(monitor);
+        console.log(`Monitor ${monitor.id} created for ${monitor.url} (${schedule})`);
+        
+        res.status(201).json({
+            success: true,
+            data: monitor,
+            message: 'Monitor created'
+        });
+        
     } catch (error) {
-        return {
-            totalLinks: 0,
-            checkedLinks: 0,
-            brokenLinks: [],
-            internalLinks: 0,
-            externalLinks: 0,
-            deepLinkRatio: 0,
-            error: error.message
-        };
+        console.error('Monitor create error:', error);
+        res.status(500).json({ error: 'Failed to create monitor: ' + error.message });
     }
-}
+});
 
-async function extractKeywords(url) {
+// 21. MONITORS - List, update, delete and run now
+app.get('/api/monitors', validateToken, async (req, res) => {
     try {
-        const response = await axios.get(url, {
-            timeout: 15000,
-            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; MolaisonAI-Bot/1.0)' }
+        const monitors = await storage.listMonitors(req.customer.email);
+        
+        res.json({
+            success: true,
+            data: monitors
         });
         
-        const html = response.data;
+    } catch (error) {
+        console.error('Monitor list error:', error);
+        res.status(500).json({ error: 'Failed to list monitors' });
+    }
+});
+
+app.patch('/api/monitors/:id', validateToken, async (req, res) => {
+    try {
+        const monitor = await storage.getMonitor(req.params.id);
         
-        // Extract title
-        const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-        const title = titleMatch ? titleMatch[1].trim() : '';
+        if (!monitor || monitor.customerEmail !== req.customer.email) {
+            return res.status(404).json({ error: 'Monitor not found' });
+        }
         
-        // Extract meta description
-        const metaMatch = html.match(/<meta[^>]+name=["']description["'][^>]+content=["']([^"']+)["']/i);
-        const metaDescription = metaMatch ? metaMatch[1] : '';
+        const { schedule, alertEmail, webhookUrl, scoreDropThreshold, enabled } = req.body;
         
-        // Extract headings
-        const headingMatches = html.match(/<h[1-6][^>]*>([^<]+)<\/h[1-6]>/gi) || [];
-        const headings = headingMatches.map(h => h.replace(/<[^>]*>/g, '').trim());
+        const validationError = await validateMonitorInput(monitor.url, schedule || monitor.schedule, webhookUrl);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
         
-        // Simple text extraction (remove HTML tags)
-        const textContent = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-                               .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-                               .replace(/<[^>]*>/g, ' ')
-                               .replace(/\s+/g, ' ')
-                               .trim();
+        if (schedule !== undefined) {
+            monitor.schedule = schedule;
+            monitor.nextRunAt = getNextCronRun(schedule, new Date());
+        }
+        if (alertEmail !== undefined) monitor.alertEmail = Boolean(alertEmail);
+        if (webhookUrl !== undefined) monitor.webhookUrl = webhookUrl || null;
+        if (scoreDropThreshold !== undefined) {
+            monitor.scoreDropThreshold = clampNumber(scoreDropThreshold, 1, 100, monitor.scoreDropThreshold);
+        }
+        if (enabled !== undefined) monitor.enabled = Boolean(enabled);
         
-        // Simple keyword extraction
-        const words = textContent.toLowerCase()
-                                .replace(/[^\w\s]/g, ' ')
-                                .split(/\s+/)
-                                .filter(word => word.length > 2 && !isStopWord(word));
+        await storage.saveMonitor(monitor);
         
-        const wordFreq = {};
-        words.forEach(word => {
-            wordFreq[word] = (wordFreq[word] || 0) + 1;
+        res.json({
+            success: true,
+            data: monitor,
+            message: 'Monitor updated'
         });
         
-        const keywords = Object.entries(wordFreq)
-            .filter(([word, count]) => count > 1)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 20)
-            .map(([word, count]) => ({ keyword: word, frequency: count }));
+    } catch (error) {
+        console.error('Monitor update error:', error);
+        res.status(500).json({ error: 'Failed to update monitor: ' + error.message });
+    }
+});
+
+app.delete('/api/monitors/:id', validateToken, async (req, res) => {
+    try {
+        const monitor = await storage.getMonitor(req.params.id);
+        
+        if (!monitor || monitor.customerEmail !== req.customer.email) {
+            return res.status(404).json({ error: 'Monitor not found' });
+        }
         
-        return {
-            keywords: keywords,
-            title: title,
-            metaDescription: metaDescription,
-            headingCount: headings.length,
-            wordCount: words.length
-        };
+        await storage.deleteMonitor(monitor.id);
+        
+        res.json({
+            success: true,
+            message: 'Monitor deleted'
+        });
         
     } catch (error) {
-        return {
-            keywords: [],
-            title: '',
-            metaDescription: '',
-            headingCount: 0,
-            wordCount: 0,
-            error: error.message
-        };
+        console.error('Monitor delete error:', error);
+        res.status(500).json({ error: 'Failed to delete monitor' });
     }
-}
+});
 
-// REAL GEO ANALYSIS FUNCTION
-async function analyzeGEOOptimization(url, topic) {
+app.post('/api/monitors/:id/run', validateToken, async (req, res) => {
     try {
-        const response = await axios.get(url, {
-            timeout: 15000,
-            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; MolaisonAI-Bot/1.0)' }
-        });
+        const monitor = await storage.getMonitor(req.params.id);
         
-        const html = response.data;
+        if (!monitor || monitor.customerEmail !== req.customer.email) {
+            return res.status(404).json({ error: 'Monitor not found' });
+        }
         
-        // Remove scripts and styles for clean text analysis
-        const cleanHtml = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-                             .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
+        const job = queueMonitorAudit(monitor);
         
-        const textContent = cleanHtml.replace(/<[^>]*>/g, ' ')
-                                    .replace(/\s+/g, ' ')
-                                    .trim();
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            message: 'Monitor audit queued'
+        });
         
-        // Initialize GEO score factors
-        let geoScore = 0;
-        const maxScore = 100;
-        const factors = {
-            directAnswers: 0,
-            structuredContent: 0,
-            faqSections: 0,
-            comprehensiveness: 0,
-            readability: 0,
-            questionFormat: 0
-        };
+    } catch (error) {
+        console.error('Monitor run error:', error);
+        res.status(500).json({ error: 'Failed to run monitor' });
+    }
+});
+
+// 22. BRANDING - White-label settings applied to exported reports
+app.get('/api/branding', validateToken, (req, res) => {
+    res.json({
+        success: true,
+        data: { ...DEFAULT_BRANDING, ...req.customer.branding }
+    });
+});
+
+app.put('/api/branding', validateToken, async (req, res) => {
+    try {
+        const branding = { ...req.customer.branding };
+        
+        // null resets a field to the default
+        for (const field of Object.keys(DEFAULT_BRANDING)) {
+            if (req.body[field] === null) {
+                delete branding[field];
+            } else if (req.body[field] !== undefined) {
+                branding[field] = String(req.body[field]).trim();
+            }
+        }
         
-        const recommendations = [];
+        const validationError = validateBranding(branding);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
         
-        // 1. Direct Answers Analysis (25 points)
-        const firstParagraph = getFirstParagraph(cleanHtml);
-        if (firstParagraph.length > 50) {
-            factors.directAnswers = 15;
-            if (containsDirectAnswer(firstParagraph)) {
-                factors.directAnswers = 25;
+        // Remote logos are fetched now and stored inline; reports never fetch them
+        if (branding.logoUrl && /^https?:\/\//i.test(branding.logoUrl)) {
+            try {
+                branding.logoUrl = await fetchBrandingLogo(branding.logoUrl);
+            } catch (error) {
+                return res.status(400).json({ error: `Logo could not be loaded: ${error.message}` });
             }
-        } else {
-            recommendations.push("Add a clear, direct answer in the first paragraph");
         }
         
-        // 2. Structured Content Analysis (20 points)
-        const listCount = (cleanHtml.match(/<(ul|ol)[^>]*>/gi) || []).length;
-        const bulletPoints = (cleanHtml.match(/<li[^>]*>/gi) || []).length;
+        req.customer.branding = Object.keys(branding).length > 0 ? branding : null;
+        await storage.saveCustomer(req.customer);
         
-        if (listCount > 0 && bulletPoints > 3) {
-            factors.structuredContent = 20;
-        } else if (listCount > 0) {
-            factors.structuredContent = 10;
-        } else {
-            recommendations.push("Add bullet points and numbered lists for better AI parsing");
+        res.json({
+            success: true,
+            data: { ...DEFAULT_BRANDING, ...branding },
+            message: 'Branding updated'
+        });
+        
+    } catch (error) {
+        console.error('Branding update error:', error);
+        res.status(500).json({ error: 'Failed to update branding' });
+    }
+});
+
+// 23. REPORTS - Export a stored analysis as HTML, PDF or CSV
+app.get('/api/reports/:analysisId', validateToken, async (req, res) => {
+    try {
+        const { format = 'html', dataset } = req.query;
+        const analysis = await storage.getAnalysis(req.params.analysisId);
+        
+        if (!analysis || analysis.customerEmail !== req.customer.email) {
+            return res.status(404).json({ error: 'Analysis not found' });
         }
         
-        // 3. FAQ Sections Analysis (20 points)
-        const faqIndicators = [
-            /frequently\s+asked\s+questions/gi,
-            /faq/gi,
-            /q:\s*|question:\s*/gi,
-            /a:\s*|answer:\s*/gi
-        ];
+        await sendReport(res, analysis, req.customer, format, dataset);
         
-        let faqScore = 0;
-        faqIndicators.forEach(pattern => {
-            if (pattern.test(cleanHtml)) {
-                faqScore += 5;
+    } catch (error) {
+        console.error('Report error:', error);
+        res.status(500).json({ error: 'Failed to generate report: ' + error.message });
+    }
+});
+
+// 24. REPORTS - Run a fresh SEO analysis and export it
+app.post('/api/reports', validateToken, async (req, res) => {
+    try {
+        const { url, format = 'html', dataset } = req.body;
+        
+        if (!url) {
+            return res.status(400).json({ error: 'URL is required' });
+        }
+        
+        const formatError = validateReportRequest('seo', format, dataset);
+        if (formatError) {
+            return res.status(400).json({ error: formatError });
+        }
+        
+        if (!await chargeQuota(req, res)) return;
+        
+        console.log(`Generating ${format} report for: ${url}`);
+        
+        const result = await runSEOAnalysis(url, null, { customer: req.customer });
+        const id = await recordAnalysis('seo', url, result, req.customer);
+        const analysis = { id: id, type: 'seo', url: normalizeAnalysisUrl(url), result: result, createdAt: new Date() };
+        
+        await sendReport(res, analysis, req.customer, format, dataset);
+        
+    } catch (error) {
+        console.error('Report error:', error);
+        res.status(500).json({ error: 'Failed to generate report: ' + error.message });
+    }
+});
+
+// 25. COMPETITOR COMPARISON - Side-by-side audit of a page against competing pages
+app.post('/api/compare', validateToken, async (req, res) => {
+    try {
+        const { url, competitors, async: runAsync } = req.body;
+        
+        if (!url) {
+            return res.status(400).json({ error: 'URL is required' });
+        }
+        
+        if (!Array.isArray(competitors) || competitors.length === 0) {
+            return res.status(400).json({ error: 'At least one competitor URL is required' });
+        }
+        
+        if (competitors.length > COMPARE_MAX_COMPETITORS) {
+            return res.status(400).json({ error: `At most ${COMPARE_MAX_COMPETITORS} competitor URLs per comparison` });
+        }
+        
+        const invalid = [url, ...competitors].find(candidate => {
+            try {
+                new URL(candidate);
+                return false;
+            } catch (e) {
+                return true;
             }
         });
+        if (invalid !== undefined) {
+            return res.status(400).json({ error: `Invalid URL: ${invalid}` });
+        }
         
-        factors.faqSections = Math.min(faqScore, 20);
+        // One unit per audited page
+        if (!await chargeQuota(req, res, 1 + competitors.length)) return;
         
-        if (factors.faqSections < 10) {
-            recommendations.push("Add an FAQ section with common questions and direct answers");
+        const runComparison = async job => {
+            const result = await comparePages(url, competitors, job);
+            result.analysisId = await recordAnalysis('comparison', url, result, req.customer);
+            return result;
+        };
+        
+        if (runAsync) {
+            const job = createJob('comparison', { url, competitors }, COMPARISON_STAGES, runComparison, req.customer);
+            console.log(`Comparison job ${job.id} queued for: ${url}`);
+            
+            return res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                message: 'Comparison queued'
+            });
         }
         
-        // 4. Comprehensiveness Analysis (15 points)
-        const wordCount = textContent.split(' ').length;
-        if (wordCount > 1000) {
-            factors.comprehensiveness = 15;
-        } else if (wordCount > 500) {
-            factors.comprehensiveness = 10;
-        } else if (wordCount > 200) {
-            factors.comprehensiveness = 5;
-        } else {
-            recommendations.push("Expand content to provide more comprehensive coverage of the topic");
+        console.log(`Comparing ${url} against ${competitors.length} competitor(s)`);
+        
+        const result = await runComparison(null);
+        
+        res.json({
+            success: true,
+            data: result,
+            message: 'Comparison complete'
+        });
+        
+    } catch (error) {
+        console.error('Comparison error:', error);
+        res.status(500).json({ error: 'Comparison failed: ' + error.message });
+    }
+});
+
+// 26. SCHEMA GENERATOR - Ready-to-paste JSON-LD built from the page's own content
+app.post('/api/generate-schema', validateToken, async (req, res) => {
+    try {
+        const { analysisId, types } = req.body;
+        let { url } = req.body;
+        
+        // A stored analysis stands in for its URL
+        if (!url && analysisId) {
+            const analysis = await storage.getAnalysis(analysisId);
+            if (!analysis || analysis.customerEmail !== req.customer.email) {
+                return res.status(404).json({ error: 'Analysis not found' });
+            }
+            url = analysis.url;
         }
         
-        // 5. Readability Analysis (10 points)
-        const headingCount = (cleanHtml.match(/<h[1-6][^>]*>/gi) || []).length;
-        const paragraphCount = (cleanHtml.match(/<p[^>]*>/gi) || []).length;
+        if (!url) {
+            return res.status(400).json({ error: 'URL or analysisId is required' });
+        }
         
-        if (headingCount >= 3 && paragraphCount >= 5) {
-            factors.readability = 10;
-        } else if (headingCount >= 2) {
-            factors.readability = 5;
-        } else {
-            recommendations.push("Improve content structure with more headings and shorter paragraphs");
+        try {
+            new URL(url);
+        } catch (e) {
+            return res.status(400).json({ error: `Invalid URL: ${url}` });
         }
         
-        // 6. Question Format Analysis (10 points)
-        const questionWords = ['what', 'how', 'why', 'when', 'where', 'who'];
-        const headings = (cleanHtml.match(/<h[1-6][^>]*>([^<]+)<\/h[1-6]>/gi) || [])
-                        .map(h => h.replace(/<[^>]*>/g, '').toLowerCase());
+        if (types !== undefined && (!Array.isArray(types) || types.some(type => !SCHEMA_GENERATOR_TYPES.includes(type)))) {
+            return res.status(400).json({ error: `Types must be a list of: ${SCHEMA_GENERATOR_TYPES.join(', ')}` });
+        }
         
-        let questionHeadings = 0;
-        headings.forEach(heading => {
-            if (questionWords.some(qw => heading.includes(qw + ' ')) || heading.includes('?')) {
-                questionHeadings++;
-            }
+        if (!await chargeQuota(req, res)) return;
+        
+        console.log(`Generating schema markup for: ${url}`);
+        
+        const result = await generateSchemaMarkup(url, types);
+        
+        res.json({
+            success: true,
+            data: result,
+            message: `${result.snippets.length} schema snippet(s) generated`
         });
         
-        if (questionHeadings >= 2) {
-            factors.questionFormat = 10;
-        } else if (questionHeadings >= 1) {
-            factors.questionFormat = 5;
-        } else {
-            recommendations.push("Use question-format headings (What is...? How to...?) for better AI understanding");
+    } catch (error) {
+        console.error('Schema generation error:', error);
+        res.status(500).json({ error: 'Schema generation failed: ' + error.message });
+    }
+});
+
+// 27. SITEMAP ANALYSIS - Validate XML sitemaps and check the URLs they list
+app.post('/api/analyze-sitemap', validateToken, async (req, res) => {
+    try {
+        const { url, sampleSize } = req.body;
+        
+        if (!url) {
+            return res.status(400).json({ error: 'URL is required' });
         }
         
-        // Calculate total GEO score
-        geoScore = Object.values(factors).reduce((sum, score) => sum + score, 0);
+        try {
+            new URL(url);
+        } catch (e) {
+            return res.status(400).json({ error: `Invalid URL: ${url}` });
+        }
         
-        // AI-specific recommendations based on analysis
-        if (topic) {
-            recommendations.push(`Optimize content specifically for "${topic}" queries that AI users commonly ask`);
+        if (!await chargeQuota(req, res)) return;
+        
+        console.log(`Analyzing sitemaps for: ${url}`);
+        
+        const result = await analyzeSitemaps(url, { sampleSize });
+        result.analysisId = await recordAnalysis('sitemap', url, result, req.customer);
+        
+        res.json({
+            success: true,
+            data: result,
+            message: result.found ? `${result.totalUrls} URL(s) found in ${result.files.length} sitemap file(s)` : 'No XML sitemap found'
+        });
+        
+    } catch (error) {
+        console.error('Sitemap analysis error:', error);
+        res.status(500).json({ error: 'Sitemap analysis failed: ' + error.message });
+    }
+});
+
+// 28. GEO VISIBILITY - Ask AI assistants the customer's prompts and check for brand mentions
+app.post('/api/geo-visibility', validateToken, async (req, res) => {
+    try {
+        if (geoVisibilityProviders.length === 0) {
+            return res.status(503).json({ error: 'No AI providers are configured for visibility checks' });
+        }
+        
+        const request = validateVisibilityRequest(req.body);
+        if (request.error) {
+            return res.status(400).json({ error: request.error });
+        }
+        
+        // One unit per question asked of each answer engine
+        if (!await chargeQuota(req, res, request.prompts.length * request.providers.length)) return;
+        
+        const runCheck = async job => {
+            const result = await checkAIVisibility(request, req.customer, job);
+            result.analysisId = await recordAnalysis('geo-visibility', request.url, result, req.customer);
+            return result;
+        };
+        
+        if (req.body.async) {
+            const job = createJob('geo-visibility', { url: request.url, topic: request.topic }, GEO_VISIBILITY_STAGES, runCheck, req.customer);
+            console.log(`GEO visibility job ${job.id} queued for: ${request.brand.name}`);
+            
+            return res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                message: 'Visibility check queued'
+            });
+        }
+        
+        console.log(`Checking AI visibility of ${request.brand.name} across ${request.prompts.length} prompt(s)`);
+        
+        const result = await runCheck(null);
+        
+        res.json({
+            success: true,
+            data: result,
+            message: `${request.brand.name} mentioned in ${result.summary.mentionRate ?? 0}% of AI answers`
+        });
+        
+    } catch (error) {
+        console.error('GEO visibility error:', error);
+        res.status(500).json({ error: 'Visibility check failed: ' + error.message });
+    }
+});
+
+// 29. GEO VISIBILITY - Share of voice over time for a site, optionally for one topic
+app.get('/api/geo-visibility/history', validateToken, async (req, res) => {
+    try {
+        const { url, topic } = req.query;
+        
+        if (!url) {
+            return res.status(400).json({ error: 'URL is required' });
+        }
+        
+        let origin;
+        try {
+            origin = `${new URL(url).origin}/`;
+        } catch (e) {
+            return res.status(400).json({ error: `Invalid URL: ${url}` });
+        }
+        
+        const analyses = await storage.listAnalyses({
+            customerEmail: req.customer.email,
+            url: normalizeAnalysisUrl(origin),
+            type: 'geo-visibility',
+            limit: clampNumber(req.query.limit, 1, 500, 100)
+        });
+        const timeline = getVisibilityTimeline(analyses, topic);
+        
+        res.json({
+            success: true,
+            data: {
+                url: normalizeAnalysisUrl(origin),
+                topic: topic || null,
+                runs: timeline.length,
+                timeline: timeline
+            }
+        });
+        
+    } catch (error) {
+        console.error('GEO visibility history error:', error);
+        res.status(500).json({ error: 'Failed to load visibility history: ' + error.message });
+    }
+});
+
+// QUOTA
+// Routes charge once their input is valid, so rejected requests cost nothing.
+// Expensive routes (site crawls, comparisons) pass a cost above one unit.
+// Sends the 429 itself and returns false when the quota would be exceeded.
+async function chargeQuota(req, res, cost = 1) {
+    const charge = await consumeQuota(req.customer, req.path, cost);
+    
+    if (charge.exceeded) {
+        const exceeded = charge.exceeded;
+        res.set('Retry-After', String(Math.ceil((exceeded.resetsAt - Date.now()) / 1000)));
+        res.status(429).json({
+            error: `${exceeded.period === 'daily' ? 'Daily' : 'Monthly'} analysis quota exceeded`,
+            quota: { plan: charge.usage.plan, ...exceeded }
+        });
+        return false;
+    }
+    return true;
+}
+
+// Helper Functions
+async function runSEOAnalysis(url, job, options = {}) {
+    const results = {
+        url: url,
+        timestamp: new Date(),
+        scores: {},
+        issues: [],
+        opportunities: [],
+        technical: {},
+        recommendations: [],
+        brokenLinks: [],
+        extractedKeywords: []
+    };
+    
+    // Fetch the page once and hand it to every analyzer
+    let page = null;
+    try {
+        page = await fetchPage(url);
+    } catch (error) {
+        console.log('Page fetch error:', error.message);
+    }
+    
+    // Google PageSpeed Analysis, or our own estimate when PageSpeed is unavailable
+    updateJobStage(job, 'pagespeed', 'running');
+    results.pageSpeed = await getPageSpeedInsights(url);
+    if (results.pageSpeed.available) {
+        results.scores.pageSpeed = results.pageSpeed.score;
+        results.technical.loadTime = results.pageSpeed.loadTime;
+    } else {
+        if (GOOGLE_API_KEY) console.log('PageSpeed API error:', results.pageSpeed.reason);
+        try {
+            results.performanceEstimate = await estimatePagePerformance(url, page);
+            results.scores.pageSpeed = results.performanceEstimate.score;
+        } catch (error) {
+            console.log('Performance estimate error:', error.message);
+        }
+    }
+    updateJobStage(job, 'pagespeed', typeof results.scores.pageSpeed === 'number' ? 'completed' : 'failed');
+    
+    // Basic technical analysis
+    updateJobStage(job, 'technical', 'running');
+    try {
+        const technicalData = await analyzeTechnicalSEO(url, page);
+        results.technical = { ...results.technical, ...technicalData };
+        updateJobStage(job, 'technical', 'completed');
+    } catch (error) {
+        console.log('Technical analysis error:', error.message);
+        updateJobStage(job, 'technical', 'failed');
+    }
+    
+    // Simple broken links check
+    updateJobStage(job, 'links', 'running');
+    try {
+        const brokenLinksData = await checkBrokenLinks(url, page);
+        results.brokenLinks = brokenLinksData.brokenLinks;
+        results.technical.totalLinks = brokenLinksData.totalLinks;
+        updateJobStage(job, 'links', 'completed');
+    } catch (error) {
+        console.log('Broken links error:', error.message);
+        results.brokenLinks = [];
+        updateJobStage(job, 'links', 'failed');
+    }
+    
+    // Simple keyword extraction
+    updateJobStage(job, 'keywords', 'running');
+    try {
+        const keywordData = await extractKeywords(url, page);
+        results.extractedKeywords = keywordData.keywords;
+        updateJobStage(job, 'keywords', 'completed');
+    } catch (error) {
+        console.log('Keyword extraction error:', error.message);
+        results.extractedKeywords = [];
+        updateJobStage(job, 'keywords', 'failed');
+    }
+    
+    // Target keyword scoring
+    if (options.targetKeywords && options.targetKeywords.length > 0) {
+        updateJobStage(job, 'targeting', 'running');
+        try {
+            results.keywordTargeting = await analyzeKeywordTargeting(url, page, options.targetKeywords);
+            updateJobStage(job, 'targeting', 'completed');
+        } catch (error) {
+            console.log('Keyword targeting error:', error.message);
+            updateJobStage(job, 'targeting', 'failed');
+        }
+    } else {
+        updateJobStage(job, 'targeting', 'skipped');
+    }
+    
+    // Generate issues and opportunities (the AI stage works from them)
+    results.issues = generateIssues(results.technical, results.brokenLinks, results.keywordTargeting, results.pageSpeed);
+    results.opportunities = generateOpportunities(results.technical, results.pageSpeed, results.performanceEstimate);
+    results.scores.overall = calculateOverallScore(results);
+    
+    // AI recommendations; aiRecommendations.fallback marks canned tips
+    if (llmProvider) {
+        updateJobStage(job, 'ai', 'running');
+        results.aiRecommendations = await getAIRecommendations(results, page, options.customer);
+        results.recommendations = results.aiRecommendations.recommendations.map(item => item.fix);
+        updateJobStage(job, 'ai', results.aiRecommendations.fallback ? 'failed' : 'completed');
+    } else {
+        updateJobStage(job, 'ai', 'skipped');
+    }
+    
+    return results;
+}
+
+// BACKGROUND JOBS
+function createJob(type, params, stageNames, handler, customer) {
+    const job = {
+        id: crypto.randomBytes(8).toString('hex'),
+        type: type,
+        customerEmail: customer ? customer.email : null,
+        params: params,
+        status: 'queued',
+        stages: {},
+        progress: { percent: 0 },
+        cancelRequested: false,
+        createdAt: new Date(),
+        startedAt: null,
+        completedAt: null,
+        result: null,
+        error: null
+    };
+    
+    stageNames.forEach(stage => {
+        job.stages[stage] = 'pending';
+    });
+    
+    jobs.set(job.id, job);
+    jobQueue.push({ job, handler });
+    processJobQueue();
+    
+    return job;
+}
+
+// Jobs are only visible to the customer who submitted them
+function getCustomerJob(id, customer) {
+    const job = jobs.get(id);
+    return job && job.customerEmail === customer.email ? job : null;
+}
+
+function processJobQueue() {
+    while (runningJobs < JOB_CONCURRENCY && jobQueue.length > 0) {
+        const { job, handler } = jobQueue.shift();
+        if (job.status === 'cancelled') continue;
+        
+        runningJobs++;
+        runJob(job, handler).finally(() => {
+            runningJobs--;
+            processJobQueue();
+        });
+    }
+}
+
+async function runJob(job, handler) {
+    job.status = 'running';
+    job.startedAt = new Date();
+    
+    try {
+        job.result = await handler(job);
+        checkJobCancelled(job);
+        job.status = 'completed';
+        job.progress.percent = 100;
+    } catch (error) {
+        if (error instanceof JobCancelledError) {
+            job.status = 'cancelled';
+        } else {
+            console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+            job.status = 'failed';
+            job.error = error.message;
+        }
+    }
+    
+    job.completedAt = new Date();
+}
+
+function cancelJob(job) {
+    job.cancelRequested = true;
+    
+    // Queued jobs never start; running jobs stop at their next checkpoint
+    if (job.status === 'queued') {
+        job.status = 'cancelled';
+        job.completedAt = new Date();
+    }
+}
+
+function checkJobCancelled(job) {
+    if (job && job.cancelRequested) {
+        throw new JobCancelledError();
+    }
+}
+
+// Marks a pipeline stage and recomputes progress; also a cancellation checkpoint
+function updateJobStage(job, stage, status) {
+    if (!job) return;
+    
+    checkJobCancelled(job);
+    job.stages[stage] = status;
+    
+    const stageStatuses = Object.values(job.stages);
+    const done = stageStatuses.filter(s => ['completed', 'skipped', 'failed'].includes(s)).length;
+    job.progress.percent = Math.round((done / stageStatuses.length) * 100);
+    job.progress.currentStage = status === 'running' ? stage : null;
+}
+
+function pruneFinishedJobs() {
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    jobs.forEach((job, id) => {
+        if (job.completedAt && job.completedAt.getTime() < cutoff) {
+            jobs.delete(id);
+        }
+    });
+}
+
+setInterval(pruneFinishedJobs, 10 * 60 * 1000).unref();
+
+// PAGESPEED INSIGHTS
+// Both strategies run in parallel. Field data comes from the Chrome UX Report
+// (the URL's own, or the origin's when the URL has too little traffic); lab
+// data from the Lighthouse run. Anything PSI can't provide is reported as
+// unavailable rather than filled in with placeholder numbers.
+const PAGESPEED_STRATEGIES = ['mobile', 'desktop'];
+const PAGESPEED_CATEGORIES = ['performance', 'seo', 'accessibility', 'best-practices'];
+const PAGESPEED_AUDIT_LIMIT = 10;
+
+// Thresholds are Google's "good" / "poor" boundaries; INP has no lab
+// equivalent, so Lighthouse's Total Blocking Time stands in for it
+const CORE_WEB_VITALS = [
+    { metric: 'LCP', name: 'Largest Contentful Paint', field: 'LARGEST_CONTENTFUL_PAINT_MS', lab: 'largest-contentful-paint', good: 2500, poor: 4000 },
+    { metric: 'INP', name: 'Interaction to Next Paint', field: 'INTERACTION_TO_NEXT_PAINT', lab: 'total-blocking-time', good: 200, poor: 500, labGood: 200, labPoor: 600 },
+    { metric: 'CLS', name: 'Cumulative Layout Shift', field: 'CUMULATIVE_LAYOUT_SHIFT_SCORE', lab: 'cumulative-layout-shift', good: 0.1, poor: 0.25, fieldScale: 100 },
+    { metric: 'FCP', name: 'First Contentful Paint', field: 'FIRST_CONTENTFUL_PAINT_MS', lab: 'first-contentful-paint', good: 1800, poor: 3000 },
+    { metric: 'TTFB', name: 'Time to First Byte', field: 'EXPERIMENTAL_TIME_TO_FIRST_BYTE', lab: 'server-response-time', good: 800, poor: 1800 }
+];
+
+const CRUX_RATINGS = { FAST: 'good', AVERAGE: 'needs-improvement', SLOW: 'poor' };
+
+const pageSpeedCache = new Map();
+
+async function getPageSpeedInsights(url) {
+    if (!GOOGLE_API_KEY) {
+        return { available: false, reason: 'GOOGLE_API_KEY is not configured', score: null, loadTime: null, strategies: {} };
+    }
+    
+    const now = Date.now();
+    const cached = pageSpeedCache.get(url);
+    if (cached && cached.expiresAt > now) return cached.promise;
+    
+    pageSpeedCache.forEach((entry, key) => {
+        if (entry.expiresAt <= now) pageSpeedCache.delete(key);
+    });
+    
+    const promise = Promise.all(PAGESPEED_STRATEGIES.map(strategy => runPageSpeedStrategy(url, strategy)))
+        .then(results => {
+            const strategies = Object.fromEntries(PAGESPEED_STRATEGIES.map((strategy, i) => [strategy, results[i]]));
+            const primary = [strategies.mobile, strategies.desktop].find(result => result.available);
+            
+            // Failures (quota, timeouts) are retried on the next request
+            if (!primary) pageSpeedCache.delete(url);
+            
+            return {
+                available: Boolean(primary),
+                reason: primary ? null : strategies.mobile.error,
+                // Mobile-first indexing makes the mobile run the headline score
+                score: primary ? primary.categories.performance : null,
+                loadTime: primary ? primary.speedIndex : null,
+                strategies: strategies
+            };
+        });
+    
+    pageSpeedCache.set(url, { promise: promise, expiresAt: now + PAGE_CACHE_TTL_MS });
+    return promise;
+}
+
+async function runPageSpeedStrategy(url, strategy) {
+    try {
+        const response = await axios.get('https://www.googleapis.com/pagespeed/insights/v5/runPagespeed', {
+            params: new URLSearchParams([
+                ['url', url],
+                ['key', GOOGLE_API_KEY],
+                ['strategy', strategy],
+                ...PAGESPEED_CATEGORIES.map(category => ['category', category])
+            ]),
+            timeout: 60000
+        });
+        
+        const lighthouse = response.data.lighthouseResult;
+        if (!lighthouse || lighthouse.runtimeError?.code) {
+            return { available: false, error: lighthouse?.runtimeError?.message || 'Lighthouse returned no result' };
+        }
+        
+        // Too little traffic for URL-level CrUX data falls back to the whole origin
+        const urlField = response.data.loadingExperience;
+        const originField = response.data.originLoadingExperience;
+        const field = urlField?.metrics && urlField.origin_fallback !== true ? { scope: 'url', data: urlField }
+            : originField?.metrics ? { scope: 'origin', data: originField }
+            : null;
+        
+        const categories = {};
+        PAGESPEED_CATEGORIES.forEach(category => {
+            const score = lighthouse.categories?.[category]?.score;
+            categories[category === 'best-practices' ? 'bestPractices' : category] = typeof score === 'number' ? Math.round(score * 100) : null;
+        });
+        
+        return {
+            available: true,
+            categories: categories,
+            speedIndex: lighthouse.audits?.['speed-index']?.displayValue || null,
+            fieldData: field ? { scope: field.scope, overall: CRUX_RATINGS[field.data.overall_category] || null } : null,
+            coreWebVitals: CORE_WEB_VITALS.map(vital => buildWebVital(vital, field, lighthouse.audits || {})),
+            failingAudits: getFailingAudits(lighthouse.audits || {})
+        };
+    } catch (error) {
+        const message = error.response?.data?.error?.message || error.code || error.message;
+        return { available: false, error: `PageSpeed ${strategy} request failed: ${message}` };
+    }
+}
+
+function rateWebVital(value, good, poor) {
+    if (value === null) return null;
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+function buildWebVital(vital, field, audits) {
+    const fieldMetric = field ? field.data.metrics[vital.field] : null;
+    const labAudit = audits[vital.lab];
+    const fieldValue = fieldMetric && typeof fieldMetric.percentile === 'number'
+        ? fieldMetric.percentile / (vital.fieldScale || 1)
+        : null;
+    const labValue = labAudit && typeof labAudit.numericValue === 'number' ? labAudit.numericValue : null;
+    
+    return {
+        metric: vital.metric,
+        name: vital.name,
+        // p75 of real-user visits over the last 28 days
+        field: fieldValue === null ? null : {
+            value: fieldValue,
+            rating: CRUX_RATINGS[fieldMetric.category] || rateWebVital(fieldValue, vital.good, vital.poor),
+            scope: field.scope
+        },
+        lab: labValue === null ? null : {
+            value: Math.round(labValue * 1000) / 1000,
+            displayValue: labAudit.displayValue || null,
+            rating: rateWebVital(labValue, vital.labGood ?? vital.good, vital.labPoor ?? vital.poor),
+            audit: vital.lab
+        }
+    };
+}
+
+// Opportunities and diagnostics Lighthouse didn't pass, biggest savings first
+function getFailingAudits(audits) {
+    return Object.values(audits)
+        .filter(audit => typeof audit.score === 'number' && audit.score < 0.9 &&
+            ['numeric', 'binary'].includes(audit.scoreDisplayMode) &&
+            ['opportunity', 'table', 'list'].includes(audit.details?.type))
+        .map(audit => ({
+            id: audit.id,
+            title: audit.title,
+            score: Math.round(audit.score * 100),
+            displayValue: audit.displayValue || null,
+            savingsMs: Math.round(audit.details.overallSavingsMs ?? audit.metricSavings?.LCP ?? 0),
+            savingsBytes: Math.round(audit.details.overallSavingsBytes ?? 0)
+        }))
+        .sort((a, b) => b.savingsMs - a.savingsMs || b.savingsBytes - a.savingsBytes || a.score - b.score)
+        .slice(0, PAGESPEED_AUDIT_LIMIT);
+}
+
+// Mobile when it ran, otherwise desktop, so one failed run doesn't hide the other's findings
+function getPrimaryPageSpeedStrategy(pageSpeed) {
+    const strategy = pageSpeed && PAGESPEED_STRATEGIES.find(name => pageSpeed.strategies[name]?.available);
+    return strategy ? { strategy: strategy, data: pageSpeed.strategies[strategy] } : null;
+}
+
+// Poor vitals, judged on real-user data when there is any
+function getPageSpeedIssues(pageSpeed) {
+    const primary = getPrimaryPageSpeedStrategy(pageSpeed);
+    if (!primary) return [];
+    
+    return primary.data.coreWebVitals
+        .filter(vital => (vital.field || vital.lab)?.rating === 'poor')
+        .map(vital => {
+            const source = vital.field ? 'field data' : 'lab data';
+            const value = vital.field ? formatWebVital(vital.metric, vital.field.value) : vital.lab.displayValue;
+            return `${vital.name} is poor on ${primary.strategy} (${value}, ${source})`;
+        });
+}
+
+function getPageSpeedOpportunities(pageSpeed, limit = 5) {
+    const primary = getPrimaryPageSpeedStrategy(pageSpeed);
+    if (!primary) return [];
+    
+    return primary.data.failingAudits
+        .filter(audit => audit.savingsMs > 0)
+        .slice(0, limit)
+        .map(audit => `${audit.title} (est. savings ${(audit.savingsMs / 1000).toFixed(1)} s on ${primary.strategy})`);
+}
+
+function formatWebVital(metric, value) {
+    if (metric === 'CLS') return value.toFixed(2);
+    return value >= 1000 ? `${(value / 1000).toFixed(1)} s` : `${Math.round(value)} ms`;
+}
+
+// PERFORMANCE ESTIMATE
+// Used when PageSpeed is unavailable. Everything is measured from our own
+// requests: one timed fetch of the document (so TTFB includes DNS, TCP and
+// TLS, as for a first visit), an ALPN handshake for HTTP/2 and HEAD requests
+// for the render-blocking assets and images. Each finding deducts points from 100.
+const PERF_MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+const PERF_MAX_RESOURCE_CHECKS = 30;
+const PERF_EAGER_IMAGES = 3;
+const PERF_LONG_CACHE_SECONDS = 7 * 24 * 60 * 60;
+const PERF_MODERN_IMAGE_FORMATS = ['webp', 'avif', 'svg'];
+const PERF_IMAGE_EXTENSIONS = { jpg: 'jpeg', jpeg: 'jpeg', png: 'png', gif: 'gif', webp: 'webp', avif: 'avif', svg: 'svg', bmp: 'bmp', ico: 'ico' };
+
+// Pages of one site share assets and a server; crawls probe each only once
+const performanceProbeCache = new Map();
+
+function cachedPerformanceProbe(key, probe) {
+    const now = Date.now();
+    const cached = performanceProbeCache.get(key);
+    if (cached && cached.expiresAt > now) return cached.promise;
+    
+    performanceProbeCache.forEach((entry, cachedKey) => {
+        if (entry.expiresAt <= now) performanceProbeCache.delete(cachedKey);
+    });
+    
+    const promise = probe();
+    performanceProbeCache.set(key, { promise: promise, expiresAt: now + PAGE_CACHE_TTL_MS });
+    return promise;
+}
+
+async function estimatePagePerformance(url, page) {
+    if (!page) page = await fetchPage(url);
+    
+    const documentUrl = page.finalUrl || url;
+    const $ = getDocument(page);
+    
+    const [documentTiming, http2] = await Promise.all([
+        measureDocument(documentUrl),
+        cachedPerformanceProbe(`alpn:${new URL(documentUrl).host}`, () => checkHttp2Support(documentUrl))
+    ]);
+    
+    const blocking = findRenderBlockingResources($, documentUrl);
+    const images = findPageImages($, documentUrl);
+    
+    // Blocking assets first: they matter more than images below the fold
+    const toInspect = [...blocking, ...images].slice(0, PERF_MAX_RESOURCE_CHECKS);
+    const inspected = await runWithConcurrency(toInspect, 4,
+        resource => cachedPerformanceProbe(`head:${resource.url}`, () => inspectResource(resource)));
+    toInspect.forEach((resource, i) => Object.assign(resource, inspected[i]));
+    
+    images.forEach(image => {
+        if (!image.format && image.contentType) {
+            image.format = image.contentType.replace(/^image\//, '').replace(/\+xml$/, '').replace('jpg', 'jpeg').split(';')[0];
+        }
+    });
+    
+    const sumBytes = resources => resources.reduce((sum, resource) => sum + (resource.bytes || 0), 0);
+    const staticAssets = toInspect.filter(resource => resource.isInternal && resource.status === 200);
+    
+    const metrics = {
+        ttfbMs: documentTiming.ttfbMs,
+        downloadMs: documentTiming.downloadMs,
+        htmlBytes: documentTiming.htmlBytes ?? Buffer.byteLength(page.html),
+        htmlTooLarge: Boolean(documentTiming.htmlTooLarge),
+        transferBytes: documentTiming.transferBytes,
+        compression: documentTiming.encoding,
+        http2: http2,
+        documentCaching: describeCaching(documentTiming.headers || page.headers),
+        renderBlocking: {
+            scripts: blocking.filter(resource => resource.type === 'script').length,
+            stylesheets: blocking.filter(resource => resource.type === 'stylesheet').length,
+            bytes: sumBytes(blocking),
+            resources: blocking.map(resource => ({ url: resource.url, type: resource.type, bytes: resource.bytes ?? null }))
+        },
+        images: {
+            count: images.length,
+            checked: images.filter(image => image.status !== undefined).length,
+            totalBytes: sumBytes(images),
+            formats: images.reduce((counts, image) => {
+                const format = image.format || 'unknown';
+                counts[format] = (counts[format] || 0) + 1;
+                return counts;
+            }, {}),
+            lazyLoaded: images.filter(image => image.lazy).length,
+            missingDimensions: images.filter(image => !image.hasDimensions).length,
+            largest: images.filter(image => image.bytes).sort((a, b) => b.bytes - a.bytes).slice(0, 5)
+                .map(image => ({ url: image.url, bytes: image.bytes, format: image.format || null }))
+        },
+        staticAssetsWithoutLongCache: staticAssets.filter(resource => !hasLongCacheLifetime(resource.cacheControl, resource.expires)).length
+    };
+    
+    const findings = getPerformanceFindings(metrics, documentUrl, images);
+    const deducted = findings.reduce((sum, finding) => sum + finding.points, 0);
+    
+    return {
+        source: 'estimate',
+        score: Math.max(0, 100 - deducted),
+        metrics: metrics,
+        findings: findings,
+        error: documentTiming.error || null
+    };
+}
+
+// Raw request so headers, compressed size and timing are ours to measure
+function measureDocument(url) {
+    return new Promise(resolve => {
+        const parsed = new URL(url);
+        const client = parsed.protocol === 'https:' ? https : http;
+        const started = performance.now();
+        
+        const request = client.get(parsed, {
+            headers: {
+                'User-Agent': FETCH_USER_AGENT,
+                'Accept': 'text/html,application/xhtml+xml',
+                'Accept-Encoding': 'br, gzip, deflate'
+            },
+            timeout: 15000
+        }, response => {
+            const ttfbMs = Math.round(performance.now() - started);
+            const chunks = [];
+            let transferBytes = 0;
+            
+            response.on('data', chunk => {
+                transferBytes += chunk.length;
+                if (transferBytes > PERF_MAX_DOCUMENT_BYTES) {
+                    request.destroy(new Error('Document exceeds 5MB'));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            
+            response.on('end', () => {
+                const encoding = String(response.headers['content-encoding'] || '').toLowerCase() || null;
+                const body = Buffer.concat(chunks);
+                // Output is capped like the download, so a compression bomb can't exhaust memory
+                const limit = { maxOutputLength: PERF_MAX_DOCUMENT_BYTES };
+                let htmlBytes = null;
+                let htmlTooLarge = false;
+                try {
+                    htmlBytes = encoding === 'br' ? zlib.brotliDecompressSync(body, limit).length
+                        : encoding === 'gzip' ? zlib.gunzipSync(body, limit).length
+                        : encoding === 'deflate' ? zlib.inflateSync(body, limit).length
+                        : body.length;
+                } catch (e) {
+                    if (e.code === 'ERR_BUFFER_TOO_LARGE') {
+                        htmlBytes = PERF_MAX_DOCUMENT_BYTES;
+                        htmlTooLarge = true;
+                    }
+                    // Otherwise corrupt or unknown encoding; the parsed page size is used instead
+                }
+                
+                resolve({
+                    status: response.statusCode,
+                    ttfbMs: ttfbMs,
+                    downloadMs: Math.round(performance.now() - started) - ttfbMs,
+                    transferBytes: transferBytes,
+                    htmlBytes: htmlBytes,
+                    htmlTooLarge: htmlTooLarge,
+                    encoding: encoding,
+                    headers: response.headers
+                });
+            });
+        });
+        
+        request.on('timeout', () => request.destroy(new Error('Timed out after 15s')));
+        request.on('error', error => resolve({
+            ttfbMs: null,
+            downloadMs: null,
+            transferBytes: null,
+            htmlBytes: null,
+            encoding: null,
+            error: error.code || error.message
+        }));
+    });
+}
+
+// Browsers only speak HTTP/2 over TLS, so plain http is never HTTP/2.
+// null means the handshake failed and support is unknown.
+function checkHttp2Support(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:') return Promise.resolve(false);
+    
+    return new Promise(resolve => {
+        const socket = tls.connect({
+            host: parsed.hostname,
+            port: parsed.port || 443,
+            servername: parsed.hostname,
+            ALPNProtocols: ['h2', 'http/1.1'],
+            timeout: 5000
+        }, () => {
+            resolve(socket.alpnProtocol === 'h2');
+            socket.end();
+        });
+        socket.on('timeout', () => socket.destroy());
+        socket.on('error', () => resolve(null));
+        socket.on('close', () => resolve(null));
+    });
+}
+
+// Classic scripts in <head> without async/defer, and stylesheets that apply to screens
+function findRenderBlockingResources($, url) {
+    const hostname = new URL(url).hostname;
+    const resources = [];
+    const add = (value, type) => {
+        const absoluteUrl = toAbsoluteUrl(value, url);
+        if (absoluteUrl) resources.push({ url: absoluteUrl, type: type, isInternal: new URL(absoluteUrl).hostname === hostname });
+    };
+    
+    $('head script[src]').each((i, el) => {
+        const type = ($(el).attr('type') || '').toLowerCase();
+        if ($(el).is('[async], [defer]') || type === 'module') return;
+        if (type && !/javascript|ecmascript/.test(type)) return;
+        add($(el).attr('src'), 'script');
+    });
+    
+    $('link[rel~="stylesheet" i][href]').each((i, el) => {
+        const media = ($(el).attr('media') || 'all').toLowerCase();
+        if ($(el).is('[disabled]') || media === 'print') return;
+        add($(el).attr('href'), 'stylesheet');
+    });
+    
+    return resources;
+}
+
+function findPageImages($, url) {
+    const hostname = new URL(url).hostname;
+    const images = [];
+    
+    $('img').each((i, el) => {
+        const $img = $(el);
+        const src = $img.attr('src') || $img.attr('data-src');
+        if (!src || src.startsWith('data:')) return;
+        
+        const absoluteUrl = toAbsoluteUrl(src, url);
+        if (!absoluteUrl) return;
+        
+        const extension = new URL(absoluteUrl).pathname.split('.').pop().toLowerCase();
+        images.push({
+            url: absoluteUrl,
+            type: 'image',
+            isInternal: new URL(absoluteUrl).hostname === hostname,
+            format: PERF_IMAGE_EXTENSIONS[extension] || null,
+            position: images.length,
+            // data-src without src is the usual script-driven lazy loading pattern
+            lazy: ($img.attr('loading') || '').toLowerCase() === 'lazy' || (!$img.attr('src') && Boolean($img.attr('data-src'))),
+            hasDimensions: Boolean($img.attr('width') && $img.attr('height')),
+            responsive: Boolean($img.attr('srcset') || $img.closest('picture').length)
+        });
+    });
+    
+    return images;
+}
+
+async function inspectResource(resource) {
+    try {
+        await waitForHostSlot(new URL(resource.url).hostname);
+        const response = await axios.head(resource.url, {
+            timeout: 8000,
+            headers: { 'User-Agent': FETCH_USER_AGENT, 'Accept-Encoding': 'br, gzip, deflate' },
+            maxRedirects: 5,
+            validateStatus: () => true
+        });
+        let length = parseInt(response.headers['content-length'], 10);
+        
+        // Without a Content-Length (chunked responses), weigh the body itself
+        if (isNaN(length) && response.status === 200) {
+            const body = await axios.get(resource.url, {
+                timeout: 8000,
+                headers: { 'User-Agent': FETCH_USER_AGENT },
+                responseType: 'arraybuffer',
+                maxContentLength: PERF_MAX_DOCUMENT_BYTES
+            });
+            length = body.data.byteLength;
+        }
+        
+        return {
+            status: response.status,
+            bytes: isNaN(length) ? null : length,
+            contentType: response.headers['content-type'] || null,
+            encoding: response.headers['content-encoding'] || null,
+            cacheControl: response.headers['cache-control'] || null,
+            expires: response.headers['expires'] || null
+        };
+    } catch (error) {
+        return { status: 0, bytes: null, error: error.code || error.message };
+    }
+}
+
+function describeCaching(headers = {}) {
+    return {
+        cacheControl: headers['cache-control'] || null,
+        etag: Boolean(headers.etag),
+        lastModified: Boolean(headers['last-modified'])
+    };
+}
+
+function hasLongCacheLifetime(cacheControl, expires) {
+    const directives = String(cacheControl || '').toLowerCase();
+    if (/no-store|no-cache/.test(directives)) return false;
+    if (directives.includes('immutable')) return true;
+    
+    const maxAge = directives.match(/(?:s-maxage|max-age)\s*=\s*(\d+)/);
+    if (maxAge) return parseInt(maxAge[1], 10) >= PERF_LONG_CACHE_SECONDS;
+    
+    const expiresAt = Date.parse(expires || '');
+    return !isNaN(expiresAt) && expiresAt - Date.now() >= PERF_LONG_CACHE_SECONDS * 1000;
+}
+
+function getPerformanceFindings(metrics, url, images) {
+    const findings = [];
+    const add = (check, points, message, recommendation) => findings.push({ check, points, message, recommendation });
+    const kb = bytes => `${Math.round(bytes / 1024)} KB`;
+    
+    if (metrics.ttfbMs === null) {
+        add('ttfb', 20, 'The page could not be fetched for timing', 'Make sure the page responds reliably within a few seconds');
+    } else if (metrics.ttfbMs > 1800) {
+        add('ttfb', 20, `Server response is slow (TTFB ${metrics.ttfbMs} ms)`, 'Cut server response time below 800 ms with caching or a CDN');
+    } else if (metrics.ttfbMs > 800) {
+        add('ttfb', 10, `Server response could be faster (TTFB ${metrics.ttfbMs} ms)`, 'Cut server response time below 800 ms with caching or a CDN');
+    }
+    
+    if (metrics.htmlBytes > 500 * 1024) {
+        add('html-size', 15, `HTML document is very large (${metrics.htmlTooLarge ? 'over ' : ''}${kb(metrics.htmlBytes)})`, 'Reduce the HTML size: paginate long lists and drop inlined data');
+    } else if (metrics.htmlBytes > 100 * 1024) {
+        add('html-size', 5, `HTML document is large (${kb(metrics.htmlBytes)})`, 'Reduce the HTML size: paginate long lists and drop inlined data');
+    }
+    
+    if (!metrics.compression && metrics.htmlBytes > 1024) {
+        add('compression', 15, 'HTML is served without compression', 'Enable Brotli or gzip compression on the server');
+    }
+    
+    const caching = metrics.documentCaching;
+    if (!caching.cacheControl && !caching.etag && !caching.lastModified) {
+        add('caching', 5, 'HTML has no caching or validation headers', 'Send Cache-Control and an ETag or Last-Modified header');
+    }
+    if (metrics.staticAssetsWithoutLongCache > 0) {
+        add('asset-caching', Math.min(10, metrics.staticAssetsWithoutLongCache * 2),
+            `${metrics.staticAssetsWithoutLongCache} static asset(s) are cached for less than a week`,
+            'Serve fingerprinted static assets with a long Cache-Control max-age');
+    }
+    
+    const blockingCount = metrics.renderBlocking.scripts + metrics.renderBlocking.stylesheets;
+    if (blockingCount > 2) {
+        add('render-blocking', Math.min(20, (blockingCount - 2) * 4), `${blockingCount} render-blocking resources in the page head`,
+            'Defer non-critical scripts and inline critical CSS');
+    }
+    if (metrics.renderBlocking.bytes > 200 * 1024) {
+        add('render-blocking-weight', 10, `Render-blocking resources weigh ${kb(metrics.renderBlocking.bytes)}`,
+            'Split and minify the CSS and JavaScript needed for first paint');
+    }
+    
+    if (metrics.images.totalBytes > 3 * 1024 * 1024) {
+        add('image-weight', 20, `Images weigh ${kb(metrics.images.totalBytes)}`, 'Compress and resize images to their displayed size');
+    } else if (metrics.images.totalBytes > 1024 * 1024) {
+        add('image-weight', 10, `Images weigh ${kb(metrics.images.totalBytes)}`, 'Compress and resize images to their displayed size');
+    }
+    
+    const oversized = images.filter(image => image.bytes > 300 * 1024);
+    if (oversized.length > 0) {
+        add('large-images', Math.min(10, oversized.length * 3), `${oversized.length} image(s) over 300 KB`, 'Compress large images or serve responsive sizes with srcset');
+    }
+    
+    const legacy = images.filter(image => image.format && !PERF_MODERN_IMAGE_FORMATS.includes(image.format));
+    if (legacy.length >= 3 && legacy.length / images.length > 0.5) {
+        add('image-formats', 5, `${legacy.length} image(s) use JPEG, PNG or GIF`, 'Serve images as WebP or AVIF');
+    }
+    
+    const eagerOffscreen = images.filter(image => image.position >= PERF_EAGER_IMAGES && !image.lazy);
+    if (eagerOffscreen.length >= 3) {
+        add('lazy-loading', 5, `${eagerOffscreen.length} images below the first few load eagerly`, 'Add loading="lazy" to images below the fold');
+    }
+    
+    if (metrics.images.missingDimensions > 0) {
+        add('image-dimensions', Math.min(5, metrics.images.missingDimensions), `${metrics.images.missingDimensions} image(s) have no width and height`,
+            'Set width and height on images to prevent layout shifts');
+    }
+    
+    if (metrics.http2 === false && url.startsWith('https://')) {
+        add('http2', 5, 'Server does not support HTTP/2', 'Enable HTTP/2 (or HTTP/3) on the server or CDN');
+    }
+    
+    return findings.sort((a, b) => b.points - a.points);
+}
+
+// SHARED PAGE FETCH LAYER
+// Fetches a URL once, caches it for PAGE_CACHE_TTL_MS and revalidates stale
+// entries with ETag/Last-Modified. Concurrent requests for the same URL share
+// one in-flight fetch. Throws like axios on network errors and 4xx/5xx.
+async function fetchPage(url, options = {}) {
+    const cached = pageCache.get(url);
+    
+    if (cached && !options.bypassCache && cached.expiresAt > Date.now()) {
+        return { ...cached.page, fromCache: true };
+    }
+    
+    if (pendingFetches.has(url)) {
+        return pendingFetches.get(url);
+    }
+    
+    const request = requestPage(url, cached, options).finally(() => {
+        pendingFetches.delete(url);
+    });
+    pendingFetches.set(url, request);
+    
+    return request;
+}
+
+async function requestPage(url, cached, options) {
+    const headers = { 'User-Agent': FETCH_USER_AGENT };
+    
+    if (cached) {
+        if (cached.page.headers.etag) headers['If-None-Match'] = cached.page.headers.etag;
+        if (cached.page.headers['last-modified']) headers['If-Modified-Since'] = cached.page.headers['last-modified'];
+    }
+    
+    const response = await axios.get(url, {
+        timeout: options.timeout || 15000,
+        headers: headers,
+        maxRedirects: 5,
+        responseType: 'text',
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+    
+    // Not modified: keep the cached body and extend its lifetime
+    if (response.status === 304 && cached) {
+        cached.expiresAt = Date.now() + PAGE_CACHE_TTL_MS;
+        return { ...cached.page, fromCache: true, revalidated: true };
+    }
+    
+    const page = {
+        url: url,
+        finalUrl: response.request?.res?.responseUrl || url,
+        status: response.status,
+        headers: response.headers,
+        html: typeof response.data === 'string' ? response.data : String(response.data || ''),
+        fetchedAt: new Date()
+    };
+    
+    storeCachedPage(url, page);
+    
+    return { ...page, fromCache: false };
+}
+
+function storeCachedPage(url, page) {
+    pageCache.delete(url);
+    pageCache.set(url, { page: page, expiresAt: Date.now() + PAGE_CACHE_TTL_MS });
+    
+    // Evict the oldest entries (Map keeps insertion order)
+    while (pageCache.size > PAGE_CACHE_MAX_ENTRIES) {
+        pageCache.delete(pageCache.keys().next().value);
+    }
+}
+
+// SERP PROVIDERS
+// Providers return { organicResults, serpFeatures } for a keyword/location.
+// Results are cached per keyword and location so repeat calls score the same.
+async function getSerpResults(keyword, location) {
+    const cacheKey = `${serpProvider.name}:${location}:${keyword}`.toLowerCase();
+    const cached = serpCache.get(cacheKey);
+    
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.results;
+    }
+    
+    const results = {
+        ...await serpProvider.search(keyword, location),
+        provider: serpProvider.name,
+        retrievedAt: new Date()
+    };
+    
+    serpCache.set(cacheKey, { results: results, expiresAt: Date.now() + SERP_CACHE_TTL_MS });
+    return results;
+}
+
+function createSerpProvider(name) {
+    if (name === 'serpapi') {
+        return createSerpApiProvider();
+    }
+    if (name === 'fixture') {
+        return createFixtureSerpProvider(SERP_FIXTURES_DIR);
+    }
+    throw new Error(`Unknown SERP provider: ${name}`);
+}
+
+function createSerpApiProvider() {
+    return {
+        name: 'serpapi',
+        
+        async search(keyword, location) {
+            if (!SERPAPI_KEY) {
+                throw new Error('SERPAPI_KEY is not configured');
+            }
+            
+            const response = await axios.get('https://serpapi.com/search.json', {
+                params: {
+                    engine: 'google',
+                    q: keyword,
+                    location: location,
+                    hl: 'en',
+                    num: 10,
+                    api_key: SERPAPI_KEY
+                },
+                timeout: 30000
+            });
+            
+            return normalizeSerpApiResults(response.data);
+        }
+    };
+}
+
+function normalizeSerpApiResults(data) {
+    const organicResults = (data.organic_results || []).slice(0, 10).map(result => ({
+        position: result.position,
+        title: result.title || '',
+        url: result.link,
+        domain: getDomain(result.link),
+        snippet: result.snippet || ''
+    }));
+    
+    return {
+        organicResults: organicResults,
+        serpFeatures: {
+            featuredSnippet: Boolean(data.answer_box),
+            localPack: Boolean(data.local_results),
+            knowledgeGraph: Boolean(data.knowledge_graph),
+            peopleAlsoAsk: (data.related_questions || []).length > 0,
+            videoCarousel: Boolean(data.inline_videos || data.video_results),
+            imagesPack: Boolean(data.inline_images),
+            shoppingResults: Boolean(data.shopping_results || data.inline_shopping),
+            ads: (data.ads || []).length
+        }
+    };
+}
+
+// Fixture files are named after the keyword slug (e.g. "best-crm-software.json")
+// and hold either the normalized shape or a raw SerpApi response
+function createFixtureSerpProvider(directory) {
+    return {
+        name: 'fixture',
+        
+        async search(keyword) {
+            const fileName = `${slugify(keyword)}.json`;
+            let data;
+            
+            try {
+                data = JSON.parse(await fs.promises.readFile(path.join(directory, fileName), 'utf8'));
+            } catch (error) {
+                throw new Error(`No SERP fixture for "${keyword}" (${fileName})`);
+            }
+            
+            if (data.serpFeatures) {
+                return { organicResults: data.organicResults || [], serpFeatures: data.serpFeatures };
+            }
+            return normalizeSerpApiResults(data);
+        }
+    };
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().trim()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function getDomain(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return '';
+    }
+}
+
+// Malformed escapes ("/100%/") are kept as written rather than thrown
+function safeDecodeURIComponent(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+// HTML PARSING
+// Parses a fetched page once; the document is attached to the page object so
+// every analyzer given the same page shares it. Analyzers must not mutate it.
+function getDocument(page) {
+    if (!page.$) {
+        Object.defineProperty(page, '$', { value: cheerio.load(page.html), enumerable: false });
+    }
+    return page.$;
+}
+
+function extractPageElements($) {
+    const metaContent = selector => {
+        const meta = $(selector).first();
+        return meta.length > 0 ? (meta.attr('content') || '').trim() : null;
+    };
+    
+    const ogTags = {};
+    $('meta[property^="og:" i]').each((i, el) => {
+        const property = ($(el).attr('property') || '').toLowerCase();
+        if (['og:title', 'og:description', 'og:image', 'og:url'].includes(property)) {
+            ogTags[property] = $(el).attr('content') || '';
+        }
+    });
+    
+    const headings = $('body').find('h1, h2, h3, h4, h5, h6').map((i, el) => ({
+        level: parseInt(el.tagName.substring(1), 10),
+        text: $(el).text().replace(/\s+/g, ' ').trim()
+    })).get();
+    
+    const canonical = $('link[rel="canonical" i]').first();
+    
+    return {
+        title: $('head title').first().text().trim() || $('title').first().text().trim(),
+        metaDescription: metaContent('meta[name="description" i]'),
+        metaRobots: metaContent('meta[name="robots" i]'),
+        viewport: metaContent('meta[name="viewport" i]'),
+        twitterCard: metaContent('meta[name="twitter:card" i]'),
+        charset: $('meta[charset]').attr('charset') ||
+                 (metaContent('meta[http-equiv="content-type" i]') || '').split('charset=')[1] || null,
+        lang: $('html').attr('lang') || null,
+        canonical: canonical.length > 0 ? (canonical.attr('href') || '') : null,
+        h1s: headings.filter(h => h.level === 1).map(h => h.text),
+        headings: headings,
+        ogTags: ogTags,
+        jsonLdCount: $('script[type="application/ld+json" i]').length,
+        images: $('img').map((i, el) => ({
+            src: $(el).attr('src') || $(el).attr('data-src') || '',
+            alt: $(el).attr('alt') !== undefined ? $(el).attr('alt') : null
+        })).get()
+    };
+}
+
+// Text a reader would see: skips scripts, styles, templates and comments
+function getVisibleText($) {
+    return getTextBlocks($).join(' ');
+}
+
+// Visible text split at block-level elements, so phrases never run from one
+// paragraph, list item or nav link into the next
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption',
+    'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav',
+    'ol', 'p', 'pre', 'section', 'summary', 'table', 'td', 'th', 'tr', 'ul', 'a', 'button', 'label', 'option'
+]);
+
+function getTextBlocks($) {
+    const skipped = new Set(['script', 'style', 'noscript', 'template', 'svg', 'iframe']);
+    const parts = [];
+    
+    const walk = nodes => {
+        nodes.forEach(node => {
+            if (node.type === 'text') {
+                parts.push(node.data);
+            } else if (node.type === 'tag' && !skipped.has(node.name)) {
+                const separator = BLOCK_ELEMENTS.has(node.name) ? '\n' : ' ';
+                parts.push(separator);
+                walk(node.children || []);
+                parts.push(separator);
+            }
+        });
+    };
+    
+    const root = $('body').length > 0 ? $('body') : $.root();
+    walk(root.get(0).children || []);
+    
+    return parts.join('').split('\n')
+        .map(block => block.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+async function analyzeTechnicalSEO(url, page) {
+    if (!page) page = await fetchPage(url);
+    
+    const $ = getDocument(page);
+    const elements = extractPageElements($);
+    
+    return {
+        hasTitle: elements.title.length > 0,
+        hasMetaDescription: elements.metaDescription !== null,
+        hasH1: elements.h1s.length > 0,
+        hasSchemaMarkup: extractStructuredData($).items.length > 0,
+        hasSSL: url.startsWith('https://'),
+        imageCount: elements.images.length,
+        linkCount: $('a[href]').length,
+        title: elements.title,
+        metaDescription: elements.metaDescription,
+        h1s: elements.h1s,
+        canonical: elements.canonical
+    };
+}
+
+// STRUCTURED DATA
+// JSON-LD, Microdata and RDFa items are normalized to JSON-LD style objects
+// ({ '@type', property: value }) so one set of rules validates all three.
+// Rules follow Google's rich result requirements: a missing required property
+// is an error (no rich result), a missing recommended one a warning.
+const SCHEMA_RULES = {
+    Article: {
+        richResult: 'Article',
+        required: ['headline'],
+        recommended: ['author', 'datePublished', 'dateModified', 'image', 'publisher']
+    },
+    FAQPage: {
+        richResult: 'FAQ',
+        required: ['mainEntity'],
+        validate: (item, report) => asArray(item.mainEntity).forEach((question, i) => {
+            if (!hasValue(question?.name)) report.error(`Question ${i + 1} is missing "name"`);
+            if (!hasValue(question?.acceptedAnswer?.text)) report.error(`Question ${i + 1} is missing "acceptedAnswer.text"`);
+        })
+    },
+    QAPage: {
+        richResult: 'Q&A',
+        required: ['mainEntity'],
+        validate: (item, report) => asArray(item.mainEntity).forEach(question => {
+            if (!hasValue(question?.name)) report.error('Question is missing "name"');
+            if (!hasValue(question?.acceptedAnswer) && !hasValue(question?.suggestedAnswer)) {
+                report.error('Question needs "acceptedAnswer" or "suggestedAnswer"');
+            }
+        })
+    },
+    HowTo: {
+        richResult: 'How-to',
+        required: ['name', 'step'],
+        recommended: ['image', 'totalTime', 'supply', 'tool']
+    },
+    Product: {
+        richResult: 'Product snippet',
+        required: ['name'],
+        recommended: ['image', 'description', 'brand', 'sku', 'offers', 'aggregateRating', 'review'],
+        validate: (item, report) => {
+            if (!hasValue(item.offers) && !hasValue(item.review) && !hasValue(item.aggregateRating)) {
+                report.error('Product needs "offers", "review" or "aggregateRating"');
+            }
+            asArray(item.offers).forEach(offer => {
+                if (!hasValue(offer?.price) && !hasValue(offer?.lowPrice)) report.error('Offer is missing "price"');
+                if (!hasValue(offer?.priceCurrency)) report.warning('Offer is missing "priceCurrency"');
+            });
+        }
+    },
+    LocalBusiness: {
+        richResult: 'Local business',
+        required: ['name', 'address'],
+        recommended: ['telephone', 'url', 'openingHoursSpecification', 'geo', 'priceRange', 'image']
+    },
+    Organization: {
+        richResult: 'Organization',
+        required: ['name'],
+        recommended: ['url', 'logo', 'sameAs', 'contactPoint']
+    },
+    BreadcrumbList: {
+        richResult: 'Breadcrumb',
+        required: ['itemListElement'],
+        validate: (item, report) => {
+            const elements = asArray(item.itemListElement);
+            elements.forEach((element, i) => {
+                if (!hasValue(element?.position)) report.error(`Breadcrumb ${i + 1} is missing "position"`);
+                if (!hasValue(element?.name) && !hasValue(element?.item?.name)) report.error(`Breadcrumb ${i + 1} is missing "name"`);
+                if (i < elements.length - 1 && !hasValue(element?.item)) report.error(`Breadcrumb ${i + 1} is missing "item"`);
+            });
+        }
+    },
+    Recipe: {
+        richResult: 'Recipe',
+        required: ['name', 'image'],
+        recommended: ['author', 'datePublished', 'description', 'recipeIngredient', 'recipeInstructions', 'totalTime', 'aggregateRating']
+    },
+    Event: {
+        richResult: 'Event',
+        required: ['name', 'startDate', 'location'],
+        recommended: ['endDate', 'description', 'image', 'offers', 'organizer', 'eventStatus']
+    },
+    VideoObject: {
+        richResult: 'Video',
+        required: ['name', 'thumbnailUrl', 'uploadDate'],
+        recommended: ['description', 'duration', 'contentUrl', 'embedUrl']
+    },
+    JobPosting: {
+        richResult: 'Job posting',
+        required: ['title', 'description', 'datePosted', 'hiringOrganization', 'jobLocation'],
+        recommended: ['validThrough', 'employmentType', 'baseSalary']
+    },
+    Review: {
+        richResult: 'Review snippet',
+        required: ['itemReviewed', 'reviewRating', 'author']
+    },
+    WebSite: {
+        richResult: null,
+        required: ['name'],
+        recommended: ['url']
+    },
+    Person: {
+        richResult: null,
+        required: ['name']
+    }
+};
+
+// Subtypes validated with their parent's rules
+const SCHEMA_TYPE_ALIASES = {
+    NewsArticle: 'Article',
+    BlogPosting: 'Article',
+    TechArticle: 'Article',
+    Restaurant: 'LocalBusiness',
+    Store: 'LocalBusiness',
+    Dentist: 'LocalBusiness',
+    MedicalBusiness: 'LocalBusiness',
+    ProfessionalService: 'LocalBusiness',
+    LegalService: 'LocalBusiness',
+    HomeAndConstructionBusiness: 'LocalBusiness',
+    AutomotiveBusiness: 'LocalBusiness',
+    HealthAndBeautyBusiness: 'LocalBusiness',
+    RealEstateAgent: 'LocalBusiness',
+    FoodEstablishment: 'LocalBusiness',
+    LodgingBusiness: 'LocalBusiness',
+    Hotel: 'LocalBusiness',
+    Corporation: 'Organization',
+    NGO: 'Organization',
+    EducationalOrganization: 'Organization'
+};
+
+const structuredDataCache = new WeakMap();
+
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function hasValue(value) {
+    if (value === undefined || value === null) return false;
+    if (typeof value === 'string') return value.trim().length > 0;
+    if (Array.isArray(value)) return value.some(hasValue);
+    return true;
+}
+
+function extractStructuredData($) {
+    if (structuredDataCache.has($)) return structuredDataCache.get($);
+    
+    const parseErrors = [];
+    const items = [
+        ...extractJsonLdItems($, parseErrors).map(item => ({ format: 'json-ld', data: item })),
+        ...extractMicrodataItems($).map(item => ({ format: 'microdata', data: item })),
+        ...extractRdfaItems($).map(item => ({ format: 'rdfa', data: item }))
+    ].map(({ format, data }) => validateSchemaItem(data, format));
+    
+    const result = {
+        items: items,
+        types: Array.from(new Set(items.flatMap(item => item.types))).sort(),
+        richResults: Array.from(new Set(items.filter(item => item.eligible).map(item => item.richResult))),
+        parseErrors: parseErrors,
+        errorCount: parseErrors.length + items.reduce((sum, item) => sum + item.errors.length, 0),
+        warningCount: items.reduce((sum, item) => sum + item.warnings.length, 0)
+    };
+    
+    structuredDataCache.set($, result);
+    return result;
+}
+
+function normalizeSchemaType(type) {
+    return String(type).replace(/^(https?:\/\/schema\.org\/|schema:)/i, '');
+}
+
+// Top-level items and @graph members; nested objects stay inside their parent
+function extractJsonLdItems($, parseErrors) {
+    const items = [];
+    
+    $('script[type="application/ld+json" i]').each((i, el) => {
+        let data;
+        try {
+            data = JSON.parse($(el).contents().text());
+        } catch (error) {
+            parseErrors.push({ format: 'json-ld', block: i + 1, message: `JSON-LD block ${i + 1} is not valid JSON: ${error.message}` });
+            return;
+        }
+        
+        asArray(data).forEach(node => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node['@graph'])) {
+                node['@graph'].filter(member => member && typeof member === 'object').forEach(member => items.push(member));
+            }
+            if (node['@type']) items.push(node);
+            else if (!node['@graph']) {
+                parseErrors.push({ format: 'json-ld', block: i + 1, message: `JSON-LD block ${i + 1} has no "@type"` });
+            }
+        });
+    });
+    
+    return items;
+}
+
+// Property values follow the HTML microdata rules for which attribute carries the value
+function readMarkupValue($el) {
+    const tag = ($el.get(0).tagName || '').toLowerCase();
+    if ($el.attr('content') !== undefined) return $el.attr('content');
+    if (['a', 'link', 'area'].includes(tag)) return $el.attr('href');
+    if (['img', 'audio', 'video', 'source', 'embed', 'iframe'].includes(tag)) return $el.attr('src');
+    if (tag === 'time' && $el.attr('datetime')) return $el.attr('datetime');
+    if (tag === 'data' || tag === 'meter') return $el.attr('value');
+    return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+function addMarkupProperty(item, names, value) {
+    String(names).split(/\s+/).filter(Boolean).forEach(rawName => {
+        const name = normalizeSchemaType(rawName);
+        if (item[name] === undefined) item[name] = value;
+        else item[name] = [].concat(item[name], value);
+    });
+}
+
+function extractMicrodataItems($) {
+    const parseItem = el => {
+        const item = {};
+        const itemtype = $(el).attr('itemtype');
+        if (itemtype) item['@type'] = itemtype.split(/\s+/).filter(Boolean).map(normalizeSchemaType);
+        
+        $(el).find('[itemprop]')
+            .filter((i, prop) => $(prop).parent().closest('[itemscope]').get(0) === el)
+            .each((i, prop) => {
+                const value = $(prop).is('[itemscope]') ? parseItem(prop) : readMarkupValue($(prop));
+                addMarkupProperty(item, $(prop).attr('itemprop'), value);
+            });
+        
+        return item;
+    };
+    
+    return $('[itemscope]').not('[itemprop]').toArray().map(parseItem);
+}
+
+function extractRdfaItems($) {
+    const parseItem = el => {
+        const item = { '@type': String($(el).attr('typeof')).split(/\s+/).filter(Boolean).map(normalizeSchemaType) };
+        
+        $(el).find('[property]')
+            .filter((i, prop) => $(prop).parent().closest('[typeof]').get(0) === el)
+            .each((i, prop) => {
+                const $prop = $(prop);
+                const value = $prop.is('[typeof]') ? parseItem(prop)
+                    : $prop.attr('resource') !== undefined ? $prop.attr('resource') : readMarkupValue($prop);
+                addMarkupProperty(item, $prop.attr('property'), value);
+            });
+        
+        return item;
+    };
+    
+    return $('[typeof]').filter((i, el) => $(el).parent().closest('[typeof]').length === 0).toArray().map(parseItem);
+}
+
+function validateSchemaItem(data, format) {
+    const types = asArray(data['@type']).map(normalizeSchemaType);
+    const ruleName = types.map(type => SCHEMA_RULES[type] ? type : SCHEMA_TYPE_ALIASES[type]).find(Boolean);
+    const rule = ruleName ? SCHEMA_RULES[ruleName] : null;
+    
+    const errors = [];
+    const warnings = [];
+    const report = { error: message => errors.push(message), warning: message => warnings.push(message) };
+    
+    if (types.length === 0) {
+        errors.push('Item has no type');
+    }
+    
+    if (rule) {
+        (rule.required || []).forEach(property => {
+            if (!hasValue(data[property])) errors.push(`Missing required property "${property}"`);
+        });
+        (rule.recommended || []).forEach(property => {
+            if (!hasValue(data[property])) warnings.push(`Missing recommended property "${property}"`);
+        });
+        if (rule.validate) rule.validate(data, report);
+    }
+    
+    return {
+        types: types,
+        format: format,
+        richResult: rule ? rule.richResult : null,
+        eligible: Boolean(rule && rule.richResult) && errors.length === 0,
+        errors: errors,
+        warnings: warnings,
+        data: data
+    };
+}
+
+// SCHEMA GENERATOR
+// Without an explicit type list, only types the page has evidence for are generated
+async function generateSchemaMarkup(url, requestedTypes) {
+    const page = await fetchPage(url);
+    const $ = getDocument(page);
+    const elements = extractPageElements($);
+    const existing = extractStructuredData($);
+    
+    const generators = {
+        FAQPage: () => generateFAQSchema($),
+        Article: () => generateArticleSchema($, elements, page, url, Boolean(requestedTypes)),
+        BreadcrumbList: () => generateBreadcrumbSchema(elements, url),
+        Organization: () => generateOrganizationSchema($, elements, url, 'Organization'),
+        LocalBusiness: () => generateOrganizationSchema($, elements, url, 'LocalBusiness')
+    };
+    
+    let types = requestedTypes;
+    if (!types) {
+        const contact = findContactDetails($);
+        types = ['FAQPage', 'Article', 'BreadcrumbList', contact.telephone && contact.address ? 'LocalBusiness' : 'Organization'];
+    }
+    
+    const snippets = [];
+    const skipped = [];
+    
+    types.forEach(type => {
+        const generated = generators[type]();
+        if (!generated) {
+            skipped.push({ type: type, reason: `No ${type} content detected on the page` });
+            return;
+        }
+        
+        const jsonLd = { '@context': 'https://schema.org', ...generated.data };
+        const validation = validateSchemaItem(jsonLd, 'json-ld');
+        
+        snippets.push({
+            type: type,
+            alreadyPresent: existing.types.includes(type),
+            jsonLd: jsonLd,
+            script: `<script type="application/ld+json">\n${JSON.stringify(jsonLd, null, 2).replace(/</g, '\\u003c')}\n</script>`,
+            validation: { eligible: validation.eligible, errors: validation.errors, warnings: validation.warnings },
+            notes: generated.notes || []
+        });
+    });
+    
+    return {
+        url: url,
+        timestamp: new Date(),
+        existingTypes: existing.types,
+        snippets: snippets,
+        skipped: skipped
+    };
+}
+
+function toAbsoluteUrl(value, base) {
+    if (!value) return null;
+    try {
+        return new URL(value, base).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+function isQuestionText(text) {
+    return /\?\s*$/.test(text) || /^(what|how|why|when|where|who|which|can|do|does|is|are|should|will)\b/i.test(text);
+}
+
+// Question headings answered by the content up to the next heading (or the
+// next FAQ/sectioning element), plus <details>/<summary> and <dt>/<dd> pairs
+function generateFAQSchema($) {
+    const pairs = [];
+    const clean = text => text.replace(/\s+/g, ' ').trim();
+    const addPair = (question, answer) => {
+        if (question && answer && !pairs.some(pair => pair.question === question)) {
+            pairs.push({ question: question, answer: answer.slice(0, SCHEMA_ANSWER_MAX_LENGTH) });
+        }
+    };
+    
+    $('h2, h3, h4, h5, h6').each((i, el) => {
+        const question = clean($(el).text());
+        if (!isQuestionText(question)) return;
+        const answer = $(el).nextUntil('h1, h2, h3, h4, h5, h6, details, dl, header, footer, nav, aside, section, hr');
+        addPair(question, clean(answer.map((j, sibling) => $(sibling).text()).get().join(' ')));
+    });
+    
+    $('details').each((i, el) => {
+        const summary = $(el).children('summary').first();
+        addPair(clean(summary.text()), clean($(el).clone().children('summary').remove().end().text()));
+    });
+    
+    $('dt').each((i, el) => {
+        const question = clean($(el).text());
+        if (isQuestionText(question)) addPair(question, clean($(el).next('dd').text()));
+    });
+    
+    if (pairs.length === 0) return null;
+    
+    return {
+        data: {
+            '@type': 'FAQPage',
+            mainEntity: pairs.slice(0, SCHEMA_FAQ_MAX_QUESTIONS).map(pair => ({
+                '@type': 'Question',
+                name: pair.question,
+                acceptedAnswer: { '@type': 'Answer', text: pair.answer }
+            }))
+        },
+        notes: pairs.length > SCHEMA_FAQ_MAX_QUESTIONS ? [`Only the first ${SCHEMA_FAQ_MAX_QUESTIONS} questions are included`] : []
+    };
+}
+
+// Generated unprompted only when the page reads like an article (og:type, a
+// publish date or a byline)
+function generateArticleSchema($, elements, page, url, requested) {
+    const meta = selector => ($(selector).first().attr('content') || '').trim() || null;
+    
+    const datePublished = meta('meta[property="article:published_time" i]') || meta('meta[name="date" i]') ||
+                          $('time[datetime]').first().attr('datetime') || null;
+    const lastModified = new Date(page.headers['last-modified'] || NaN);
+    const dateModified = meta('meta[property="article:modified_time" i]') ||
+                         (isNaN(lastModified) ? null : lastModified.toISOString());
+    const author = meta('meta[name="author" i]') || meta('meta[property="article:author" i]') ||
+                   ($('[rel="author"], [itemprop="author"], .author, .byline').first().text().replace(/\s+/g, ' ').trim() || null);
+    const isArticle = /article/i.test(elements.ogTags['og:type'] || meta('meta[property="og:type" i]') || '');
+    
+    if (!requested && !isArticle && !datePublished && !author) return null;
+    
+    const headline = (elements.ogTags['og:title'] || elements.h1s[0] || elements.title || '').slice(0, 110);
+    const image = toAbsoluteUrl(elements.ogTags['og:image'] || (elements.images[0] && elements.images[0].src), url);
+    const publisher = meta('meta[property="og:site_name" i]');
+    const notes = [];
+    
+    const data = { '@type': 'Article', headline: headline, mainEntityOfPage: url };
+    if (elements.metaDescription) data.description = elements.metaDescription;
+    if (image) data.image = [image];
+    if (datePublished) data.datePublished = datePublished;
+    else notes.push('Add "datePublished" (ISO 8601) - no publish date found on the page');
+    if (dateModified) data.dateModified = dateModified;
+    if (author) data.author = { '@type': 'Person', name: author };
+    else notes.push('Add "author" - no byline found on the page');
+    if (publisher) data.publisher = { '@type': 'Organization', name: publisher };
+    
+    return { data: data, notes: notes };
+}
+
+function generateBreadcrumbSchema(elements, url) {
+    const parsed = new URL(url);
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    if (segments.length === 0) return null;
+    
+    const humanize = segment => {
+        const words = safeDecodeURIComponent(segment).replace(/\.[a-z0-9]+$/i, '').replace(/[-_]+/g, ' ').trim();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    };
+    
+    const crumbs = [{ name: 'Home', item: parsed.origin + '/' }];
+    segments.forEach((segment, i) => {
+        const isLast = i === segments.length - 1;
+        crumbs.push({
+            name: isLast && elements.h1s[0] ? elements.h1s[0] : humanize(segment),
+            item: parsed.origin + '/' + segments.slice(0, i + 1).join('/') + (isLast ? '' : '/')
+        });
+    });
+    
+    return {
+        data: {
+            '@type': 'BreadcrumbList',
+            itemListElement: crumbs.map((crumb, i) => ({
+                '@type': 'ListItem',
+                position: i + 1,
+                name: crumb.name,
+                item: crumb.item
+            }))
+        },
+        notes: ['Intermediate breadcrumb names come from the URL path; adjust them to match your navigation labels']
+    };
+}
+
+function findContactDetails($) {
+    const telephone = ($('a[href^="tel:" i]').first().attr('href') || '').replace(/^tel:/i, '').trim() || null;
+    const email = ($('a[href^="mailto:" i]').first().attr('href') || '').replace(/^mailto:/i, '').split('?')[0].trim() || null;
+    const address = $('address').first().text().replace(/\s+/g, ' ').trim() || null;
+    return { telephone, email, address };
+}
+
+function generateOrganizationSchema($, elements, url, type) {
+    const origin = new URL(url).origin;
+    const siteName = ($('meta[property="og:site_name" i]').attr('content') || '').trim();
+    // "Page title | Brand" - the last part of a separated title is usually the brand
+    const titleParts = elements.title.split(/\s[|\-–—·]\s/);
+    const name = siteName || (titleParts.length > 1 ? titleParts[titleParts.length - 1].trim() : getDomain(url));
+    
+    const logoSrc = $('img[src*="logo" i], img[alt*="logo" i], [class*="logo" i] img').first().attr('src');
+    const socialHosts = /(^|\.)(facebook|twitter|x|linkedin|instagram|youtube|tiktok|pinterest)\.com$/i;
+    const sameAs = Array.from(new Set($('a[href]').map((i, el) => $(el).attr('href')).get()
+        .filter(href => /^https?:\/\//i.test(href) && socialHosts.test(getDomain(href)))));
+    const contact = findContactDetails($);
+    const notes = [];
+    
+    const data = { '@type': type, name: name, url: origin + '/' };
+    const logo = toAbsoluteUrl(logoSrc, url);
+    if (logo) data.logo = logo;
+    if (sameAs.length > 0) data.sameAs = sameAs;
+    if (contact.telephone) data.telephone = contact.telephone;
+    if (contact.email) data.email = contact.email;
+    
+    if (type === 'LocalBusiness') {
+        if (contact.address) {
+            data.address = { '@type': 'PostalAddress', streetAddress: contact.address };
+            notes.push('Split the address into streetAddress, addressLocality, postalCode and addressCountry');
+        } else {
+            notes.push('Add "address" - no <address> element found on the page');
+        }
+        notes.push('Consider a more specific type (e.g. Restaurant, Dentist) and add openingHoursSpecification');
+    } else if (!logo) {
+        notes.push('Add "logo" - no logo image found on the page');
+    }
+    
+    return { data: data, notes: notes };
+}
+
+// COMPREHENSIVE TECHNICAL SEO ANALYSIS
+// options.performance: false skips the site speed checks (siteSpeed is null)
+async function analyzeRealTechnicalSEO(url, page, options = {}) {
+    try {
+        if (!page) page = await fetchPage(url);
+        
+        const $ = getDocument(page);
+        const elements = extractPageElements($);
+        const headers = page.headers;
+        
+        // Initialize technical scores
+        const scores = {
+            crawlability: 0,
+            mobileFriendly: 0,
+            siteSpeed: 0,
+            security: 0,
+            htmlStructure: 0,
+            metaData: 0
+        };
+        
+        const issues = [];
+        const recommendations = [];
+        
+        // 1. CRAWLABILITY ANALYSIS (100 points possible)
+        let crawlScore = 50; // Base score
+        
+        // Check robots.txt and what it lets each crawler do with this URL
+        const robots = await fetchRobotsTxt(new URL(url).origin);
+        const crawlerVerdicts = getCrawlerVerdicts(robots, url);
+        
+        if (robots.status === 'found') {
+            crawlScore += 15;
+            if (robots.sitemaps.length > 0) {
+                crawlScore += 10;
+            }
+            if (robots.errors.length > 0) {
+                issues.push(`robots.txt has ${robots.errors.length} syntax error(s)`);
+            }
+        } else if (robots.status === 'missing') {
+            issues.push('No robots.txt file found');
+            recommendations.push('Create a robots.txt file to guide search engine crawlers');
+        } else {
+            issues.push('robots.txt could not be fetched - search engines treat the whole site as blocked');
+        }
+        
+        const blockedSearch = crawlerVerdicts.filter(v => v.category === 'search' && !v.allowed).map(v => v.crawler);
+        const blockedAI = crawlerVerdicts.filter(v => v.category === 'ai' && !v.allowed).map(v => v.crawler);
+        if (blockedSearch.length > 0) {
+            issues.push(`Page is blocked by robots.txt for ${blockedSearch.join(', ')}`);
+        }
+        if (blockedAI.length > 0) {
+            recommendations.push(`robots.txt blocks ${blockedAI.join(', ')} - allow them if you want this page cited in AI answers`);
+        }
+        
+        // Check XML sitemaps (declared in robots.txt, indexes and .gz included);
+        // validating them is left to the sitemap analysis
+        const sitemap = await getSitemapLocations(new URL(url).origin, robots);
+        const listedInSitemap = sitemap.locations.has(sitemapKey(url));
+        
+        if (sitemap.found) {
+            crawlScore += 15;
+            if (!listedInSitemap) {
+                recommendations.push('Add this page to your XML sitemap');
+            } else if (/noindex/i.test(`${elements.metaRobots || ''} ${headers['x-robots-tag'] || ''}`)) {
+                issues.push('Page is listed in the XML sitemap but marked noindex');
+            }
+        } else {
+            issues.push('No XML sitemap found');
+            recommendations.push('Create an XML sitemap to help search engines discover your pages');
+        }
+        
+        // Check meta robots
+        if (elements.metaRobots !== null) {
+            if (!/noindex|nofollow/i.test(elements.metaRobots)) {
+                crawlScore += 10;
+            } else if (/noindex/i.test(elements.metaRobots)) {
+                issues.push(`Page is blocked from indexing (meta robots: "${elements.metaRobots}")`);
+            }
+        } else {
+            crawlScore += 5; // Default is crawlable
+        }
+        
+        // A page search engines may not crawl can't score well whatever else is right
+        scores.crawlability = Math.min(blockedSearch.length > 0 ? 20 : 100, crawlScore);
+        
+        // 2. MOBILE-FRIENDLY ANALYSIS
+        let mobileScore = 30; // Base score
+        
+        // Check viewport meta tag
+        if (elements.viewport !== null) {
+            mobileScore += 25;
+            if (/width\s*=\s*device-width/i.test(elements.viewport)) {
+                mobileScore += 15;
+            }
+        } else {
+            issues.push('Missing viewport meta tag');
+            recommendations.push('Add viewport meta tag for mobile responsiveness');
+        }
+        
+        // Check responsive design indicators
+        const hasMediaQueries = $('style').text().includes('@media') || $('link[rel="stylesheet" i][media]').length > 0;
+        const hasResponsiveImages = $('img[srcset], picture source').length > 0;
+        if (hasMediaQueries || hasResponsiveImages) {
+            mobileScore += 15;
+        }
+        
+        // Check for mobile-unfriendly elements
+        const flashElements = $('object, embed').filter((i, el) => {
+            const source = ($(el).attr('data') || $(el).attr('src') || '') + ($(el).attr('type') || '');
+            return /\.swf|shockwave-flash/i.test(source);
+        });
+        if (flashElements.length > 0) {
+            mobileScore -= 20;
+            issues.push('Flash content detected (not mobile-friendly)');
+        }
+        
+        scores.mobileFriendly = Math.min(100, mobileScore);
+        
+        // 3. SECURITY ANALYSIS
+        let securityScore = 0;
+        
+        // HTTPS check
+        if (url.startsWith('https://')) {
+            securityScore += 30;
+        } else {
+            issues.push('Website not using HTTPS');
+            recommendations.push('Migrate to HTTPS for security and SEO benefits');
+        }
+        
+        // Security headers check
+        if (headers['strict-transport-security']) {
+            securityScore += 15;
+        }
+        if (headers['x-frame-options']) {
+            securityScore += 10;
+        }
+        if (headers['x-content-type-options']) {
+            securityScore += 10;
+        }
+        if (headers['content-security-policy']) {
+            securityScore += 15;
+        }
+        
+        // Mixed content check (only sub-resources the browser actually loads)
+        const insecureResources = $('img[src], script[src], iframe[src], audio[src], video[src], source[src], link[rel="stylesheet" i][href]')
+            .map((i, el) => $(el).attr('src') || $(el).attr('href'))
+            .get()
+            .filter(src => /^http:\/\//i.test(src));
+        if (url.startsWith('https://') && insecureResources.length > 0) {
+            securityScore -= 10;
+            issues.push(`Mixed content detected (${insecureResources.length} HTTP resources on HTTPS page)`);
+        }
+        
+        // Basic security indicators
+        const passwordFields = $('input[type="password" i]');
+        if (passwordFields.length === 0 || passwordFields.filter('[autocomplete="off" i]').length === passwordFields.length) {
+            securityScore += 10;
+        }
+        
+        scores.security = Math.min(100, Math.max(0, securityScore));
+        
+        // 4. HTML STRUCTURE ANALYSIS
+        let structureScore = 20; // Base score
+        
+        // Title tag
+        if (elements.title.length > 0) {
+            structureScore += 15;
+            if (elements.title.length <= 60) {
+                structureScore += 5;
+            }
+        } else {
+            issues.push('Missing or empty title tag');
+        }
+        
+        // H1 tag
+        if (elements.h1s.length > 0) {
+            structureScore += 15;
+            if (elements.h1s.length > 1) {
+                recommendations.push(`Use a single H1 heading (found ${elements.h1s.length})`);
+            }
+        } else {
+            issues.push('Missing H1 heading');
+        }
+        
+        // Meta description
+        if (elements.metaDescription) {
+            structureScore += 15;
+        } else {
+            issues.push('Missing meta description');
+        }
+        
+        // Language declaration
+        if (elements.lang) {
+            structureScore += 10;
+        } else {
+            recommendations.push('Add language declaration to HTML tag');
+        }
+        
+        // Alt text for images
+        const images = elements.images;
+        const imagesWithAlt = images.filter(img => img.alt !== null).length;
+        const altTextRatio = images.length > 0 ? (imagesWithAlt / images.length) * 100 : 100;
+        
+        if (altTextRatio >= 80) {
+            structureScore += 15;
+        } else if (altTextRatio >= 50) {
+            structureScore += 8;
+        } else {
+            issues.push(`${Math.round(100 - altTextRatio)}% of images missing alt text`);
+        }
+        
+        scores.htmlStructure = Math.min(100, structureScore);
+        
+        // 5. METADATA ANALYSIS
+        let metaScore = 20; // Base score
+        
+        // Charset
+        if (elements.charset) {
+            metaScore += 10;
+        }
+        
+        // Open Graph tags
+        const ogCount = Object.keys(elements.ogTags).length;
+        metaScore += ogCount * 5; // 5 points per OG tag
+        
+        // Twitter Card tags
+        if (elements.twitterCard) {
+            metaScore += 10;
+        }
+        
+        // Canonical URL
+        if (elements.canonical) {
+            metaScore += 15;
+        } else {
+            recommendations.push('Add canonical URL to prevent duplicate content issues');
+        }
+        
+        // Structured data: broken markup earns half credit and no rich results
+        const structuredData = extractStructuredData($);
+        if (structuredData.items.length === 0 && structuredData.parseErrors.length === 0) {
+            recommendations.push('Add structured data (JSON-LD) for rich snippets');
+        } else if (structuredData.errorCount > 0) {
+            metaScore += 10;
+            issues.push(`${structuredData.errorCount} structured data error(s) found`);
+            recommendations.push('Fix structured data errors so pages qualify for rich results');
+        } else {
+            metaScore += 20;
+        }
+        
+        scores.metaData = Math.min(100, metaScore);
+        
+        // 6. SITE SPEED ANALYSIS (Google PageSpeed, or our own estimate when it's unavailable)
+        const pageSpeed = options.performance === false ? null : await getPageSpeedInsights(url);
+        let performanceEstimate = null;
+        
+        if (!pageSpeed) {
+            scores.siteSpeed = null;
+        } else if (pageSpeed.available) {
+            scores.siteSpeed = pageSpeed.score;
+            getPageSpeedIssues(pageSpeed).forEach(issue => issues.push(issue));
+            getPageSpeedOpportunities(pageSpeed, 1).forEach(opportunity => recommendations.push(opportunity));
+        } else {
+            try {
+                performanceEstimate = await estimatePagePerformance(url, page);
+                scores.siteSpeed = performanceEstimate.score;
+                performanceEstimate.findings.filter(finding => finding.points >= 10).forEach(finding => issues.push(finding.message));
+                performanceEstimate.findings.slice(0, 2).forEach(finding => recommendations.push(finding.recommendation));
+            } catch (error) {
+                console.log('Performance estimate failed:', error.message);
+                scores.siteSpeed = null;
+            }
+        }
+        
+        // Generate overall recommendations
+        if (scores.crawlability < 70) {
+            recommendations.push('Improve crawlability by adding robots.txt and XML sitemap');
+        }
+        if (scores.mobileFriendly < 80) {
+            recommendations.push('Enhance mobile-friendliness with responsive design');
+        }
+        if (scores.security < 80) {
+            recommendations.push('Strengthen security with HTTPS and security headers');
+        }
+        if (scores.htmlStructure < 80) {
+            recommendations.push('Fix HTML structure issues and add missing meta tags');
+        }
+        
+        // Calculate overall technical score from the categories that could be measured
+        const measured = Object.values(scores).filter(score => typeof score === 'number');
+        const overallScore = Math.round(measured.reduce((sum, score) => sum + score, 0) / measured.length);
+        
+        return {
+            overallScore: overallScore,
+            scores: scores,
+            issues: issues,
+            recommendations: recommendations.slice(0, 8),
+            analysis: {
+                imageCount: images.length,
+                imagesWithAlt: imagesWithAlt,
+                altTextRatio: Math.round(altTextRatio),
+                hasRobotsTxt: robots.status === 'found',
+                hasXMLSitemap: sitemap.found,
+                hasHTTPS: url.startsWith('https://'),
+                hasViewport: elements.viewport !== null,
+                hasCanonical: elements.canonical !== null,
+                hasStructuredData: structuredData.items.length > 0,
+                ogTagsCount: ogCount,
+                hasTwitterCard: elements.twitterCard !== null
+            },
+            elements: {
+                title: elements.title,
+                titleLength: elements.title.length,
+                metaDescription: elements.metaDescription,
+                h1s: elements.h1s,
+                canonical: elements.canonical,
+                metaRobots: elements.metaRobots,
+                viewport: elements.viewport,
+                lang: elements.lang,
+                ogTags: elements.ogTags,
+                twitterCard: elements.twitterCard,
+                imagesMissingAlt: images.filter(img => img.alt === null).map(img => img.src).slice(0, 20)
+            },
+            structuredData: structuredData,
+            pageSpeed: pageSpeed,
+            performanceEstimate: performanceEstimate,
+            robots: {
+                url: robots.url,
+                status: robots.status,
+                sitemaps: robots.sitemaps,
+                errors: robots.errors,
+                warnings: robots.warnings,
+                crawlers: crawlerVerdicts
+            },
+            sitemap: {
+                found: sitemap.found,
+                files: sitemap.files,
+                totalUrls: sitemap.locations.size,
+                truncated: sitemap.truncated,
+                listsPage: listedInSitemap
+            }
+        };
+        
+    } catch (error) {
+        return {
+            overallScore: 0,
+            scores: {
+                crawlability: 0,
+                mobileFriendly: 0,
+                siteSpeed: 0,
+                security: 0,
+                htmlStructure: 0,
+                metaData: 0
+            },
+            issues: ['Unable to analyze website technical aspects'],
+            recommendations: ['Website may be inaccessible or behind authentication'],
+            analysis: {},
+            error: error.message
+        };
+    }
+}
+
+// Checks anchors plus images, scripts and stylesheets, up to maxLinks unique
+// URLs, through a concurrency pool with per-host pacing
+async function checkBrokenLinks(url, page, options = {}) {
+    try {
+        if (!page) page = await fetchPage(url);
+        
+        const $ = getDocument(page);
+        const links = extractLinks($, url);
+        const resources = extractResources($, url);
+        const maxLinks = clampNumber(options.maxLinks, 1, LINK_CHECK_MAX_LINKS, LINK_CHECK_DEFAULT_LINKS);
+        
+        // Each URL is checked once even if the page references it repeatedly
+        const targets = [];
+        const seen = new Set();
+        links.map(link => ({ ...link, type: 'link' })).concat(resources).forEach(target => {
+            if (!/^https?:/i.test(target.url) || seen.has(target.url)) return;
+            seen.add(target.url);
+            targets.push(target);
+        });
+        
+        const targetsToCheck = targets.slice(0, maxLinks);
+        const results = await runWithConcurrency(targetsToCheck, LINK_CHECK_CONCURRENCY, target => checkLinkStatus(target.url));
+        
+        const brokenLinks = [];
+        const redirects = [];
+        
+        targetsToCheck.forEach((target, i) => {
+            const result = results[i];
+            
+            if (result.redirectChain.length > 0) {
+                redirects.push({
+                    url: target.url,
+                    type: target.type,
+                    chain: result.redirectChain,
+                    finalUrl: result.finalUrl,
+                    isLoop: Boolean(result.isLoop)
+                });
+            }
+            
+            if (result.error || result.status >= 400) {
+                brokenLinks.push({
+                    url: target.url,
+                    status: result.status,
+                    text: target.text,
+                    isInternal: target.isInternal,
+                    type: target.type,
+                    method: result.method,
+                    error: result.error || `HTTP ${result.status}`,
+                    redirectChain: result.redirectChain
+                });
+            }
+        });
+        
+        return {
+            totalLinks: links.length,
+            totalResources: resources.length,
+            uniqueUrls: targets.length,
+            checkedLinks: targetsToCheck.length,
+            uncheckedLinks: targets.length - targetsToCheck.length,
+            brokenLinks: brokenLinks,
+            redirects: redirects,
+            internalLinks: links.filter(l => l.isInternal).length,
+            externalLinks: links.filter(l => !l.isInternal).length,
+            resources: {
+                images: resources.filter(r => r.type === 'image').length,
+                scripts: resources.filter(r => r.type === 'script').length,
+                stylesheets: resources.filter(r => r.type === 'stylesheet').length
+            },
+            deepLinkRatio: Math.round((links.filter(l => l.isInternal && l.url !== url).length / links.length) * 100) || 0
+        };
+        
+    } catch (error) {
+        return {
+            totalLinks: 0,
+            checkedLinks: 0,
+            brokenLinks: [],
+            redirects: [],
+            internalLinks: 0,
+            externalLinks: 0,
+            deepLinkRatio: 0,
+            error: error.message
+        };
+    }
+}
+
+// Follows redirects by hand so every hop is recorded and loops are caught
+async function checkLinkStatus(targetUrl) {
+    const redirectChain = [];
+    const visited = new Set();
+    let current = targetUrl;
+    let method = 'HEAD';
+    
+    for (let hop = 0; hop <= LINK_CHECK_MAX_REDIRECTS; hop++) {
+        if (visited.has(current)) {
+            return { status: 0, method, redirectChain, finalUrl: current, isLoop: true, error: 'Redirect loop' };
+        }
+        visited.add(current);
+        
+        let response;
+        try {
+            response = await requestLinkStatus(current);
+        } catch (error) {
+            return { status: 0, method, redirectChain, finalUrl: current, error: error.code || 'Connection failed' };
+        }
+        
+        method = response.method;
+        
+        if (response.status >= 300 && response.status < 400 && response.location) {
+            redirectChain.push({ url: current, status: response.status });
+            try {
+                current = new URL(response.location, current).href;
+            } catch (e) {
+                return { status: response.status, method, redirectChain, finalUrl: current, error: 'Invalid redirect location' };
+            }
+            continue;
+        }
+        
+        return { status: response.status, method, redirectChain, finalUrl: current };
+    }
+    
+    return { status: 0, method, redirectChain, finalUrl: current, error: 'Too many redirects' };
+}
+
+// HEAD first; servers that reject or mishandle HEAD get a GET whose body is
+// discarded unread
+async function requestLinkStatus(targetUrl) {
+    const requestOptions = {
+        timeout: 10000,
+        maxRedirects: 0,
+        headers: { 'User-Agent': FETCH_USER_AGENT },
+        validateStatus: () => true
+    };
+    
+    await waitForHostSlot(new URL(targetUrl).hostname);
+    
+    try {
+        const head = await axios.head(targetUrl, requestOptions);
+        if (head.status < 400) {
+            return { status: head.status, location: head.headers.location, method: 'HEAD' };
+        }
+    } catch (error) {
+        if (['ENOTFOUND', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code)) throw error;
+    }
+    
+    await waitForHostSlot(new URL(targetUrl).hostname);
+    
+    const get = await axios.get(targetUrl, { ...requestOptions, responseType: 'stream' });
+    get.data.destroy();
+    
+    return { status: get.status, location: get.headers.location, method: 'GET' };
+}
+
+// Spaces requests to the same host LINK_CHECK_HOST_INTERVAL_MS apart, across
+// all concurrent checks
+async function waitForHostSlot(hostname) {
+    const now = Date.now();
+    const slot = Math.max(now, hostNextRequestAt.get(hostname) || 0);
+    hostNextRequestAt.set(hostname, slot + LINK_CHECK_HOST_INTERVAL_MS);
+    
+    if (hostNextRequestAt.size > 1000) {
+        hostNextRequestAt.forEach((time, host) => {
+            if (time < now) hostNextRequestAt.delete(host);
+        });
+    }
+    
+    if (slot > now) {
+        await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+}
+
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    
+    await Promise.all(runners);
+    return results;
+}
+
+// Images, scripts and stylesheets the page loads
+function extractResources($, url) {
+    const hostname = new URL(url).hostname;
+    const resources = [];
+    
+    const collect = (selector, attribute, type) => {
+        $(selector).each((i, el) => {
+            const value = ($(el).attr(attribute) || '').trim();
+            if (!value || value.startsWith('data:')) return;
+            
+            try {
+                const absoluteUrl = new URL(value, url).href;
+                resources.push({
+                    url: absoluteUrl,
+                    text: $(el).attr('alt') || '',
+                    isInternal: new URL(absoluteUrl).hostname === hostname,
+                    type: type
+                });
+            } catch (e) {
+                // Invalid URL, skip
+            }
+        });
+    };
+    
+    collect('img[src]', 'src', 'image');
+    collect('script[src]', 'src', 'script');
+    collect('link[rel~="stylesheet" i][href]', 'href', 'stylesheet');
+    
+    return resources;
+}
+
+// Link discovery shared by the broken link checker and the site crawler
+function extractLinks($, url) {
+    const links = [];
+    const hostname = new URL(url).hostname;
+    
+    $('a[href]').each((i, el) => {
+        const href = ($(el).attr('href') || '').trim();
+        
+        if (href && !href.startsWith('#') && !/^(mailto|tel|javascript):/i.test(href)) {
+            try {
+                const absoluteUrl = new URL(href, url).href;
+                
+                links.push({
+                    url: absoluteUrl,
+                    text: $(el).text().replace(/\s+/g, ' ').trim(),
+                    isInternal: new URL(absoluteUrl).hostname === hostname
+                });
+            } catch (e) {
+                // Invalid URL, skip
+            }
+        }
+    });
+    
+    return links;
+}
+
+// KEYWORD EXTRACTION
+// Terms are 1-3 word n-grams scored by field-weighted TF-IDF. Document
+// frequencies come from a background corpus of every page analyzed so far,
+// kept per language, so boilerplate common to most sites sinks over time.
+const KEYWORD_LIMIT = 20;
+const KEYWORD_PHRASE_LIMIT = 10;
+const KEYWORD_CANDIDATE_LIMIT = 200;
+const KEYWORD_MAX_NGRAM = 3;
+const KEYWORD_FIELD_WEIGHTS = {
+    body: 1,
+    title: 3,
+    metaDescription: 2,
+    h1: 2.5,
+    headings: 1.5
+};
+
+const STOPWORDS = Object.fromEntries(Object.entries({
+    en: 'a about above after again against all almost along also although am among an and another any anyone anything are aren around as at be became because become been before being below between both but by can cannot could couldn did didn do does doesn doing don done down during each either else enough etc even ever every few for from further get gets getting got had hadn has hasn have haven having he her here hers herself him himself his how however i if in into is isn it its itself just least less let ll many may me might more most much must mustn my myself neither no nor not now of off often on once one only onto or other others otherwise our ours ourselves out over own per perhaps quite rather re really same see seem seems several shall she should shouldn since so some something still such than that the their theirs them themselves then there therefore these they this those though through throughout thus to together too toward towards under until up upon us use used uses using ve very via was wasn way we well were weren what whatever when where whether which while who whoever whole whom whose why will with within without won would wouldn yet you your yours yourself yourselves',
+    es: 'a al algo algunas algunos ante antes aquel aquella aquellas aquellos aqui así aunque cada casi como con contra cual cuales cuando de del desde donde dos durante e el ella ellas ello ellos en entre era erais eran eras eres es esa esas ese eso esos esta estaba estaban estado estamos están estar estas este esto estos estoy fue fueron fui fuimos ha había habían han has hasta hay la las le les lo los más me mi mis mismo mucho muchos muy nada ni no nos nosotros nuestra nuestro o os otra otras otro otros para pero poco por porque puede pueden que quien quienes se sea según ser si sí siempre sin sino sobre solo son su sus también tan tanto te tiene tienen todo todos tu tus un una uno unos usted ustedes vosotros y ya yo él',
+    fr: 'à afin ai aient ainsi alors au aucun aussi autre autres aux avait avant avec avez avoir bien c ça car ce ceci cela celle celles celui ces cet cette chaque chez comme comment d dans de des deux donc dont du elle elles en encore entre est et été être eu fait faire fois il ils j je jusqu l la le les leur leurs lors lui m ma mais me même mes moi moins mon n ne ni nos notre nous on ont ou où par parce pas peu peut plus pour pourquoi qu quand que quel quelle quelles quels qui s sa sans se selon ses si sien son sont sous sur t ta te tes toi ton toujours tous tout toute toutes très tu un une vers via vos votre vous y',
+    de: 'ab aber alle allem allen aller alles als also am an ander andere anderem anderen anderer anderes auch auf aus bei beim bin bis bist da damit dann das dass dein deine dem den denn der des dich die dies diese diesem diesen dieser dieses dir doch dort du durch ein eine einem einen einer eines einige er es etwas euch euer für gegen gibt hab habe haben hat hatte hier ich ihm ihn ihnen ihr ihre im in ist ja jede jedem jeden jeder jedes jetzt kann kein keine können man mehr mein meine mich mir mit muss nach nicht nichts noch nun nur ob oder ohne schon sehr sein seine sich sie sind so solche soll sondern sowie um und uns unser unsere unter viel vom von vor war waren warum was weil welche welcher wenn wer werden wie wieder will wir wird wo zu zum zur zwischen über',
+    it: 'a ad agli ai al alla alle allo anche ancora avere aveva c che chi ci come con contro cosa cui d da dai dal dalla dalle dei del della delle dello di dove e è ed era erano essere gli ha hanno ho i il in io l la le lei li lo loro lui ma mi mia mio molto ne negli nei nel nella nelle noi non nostro o ogni per perché più poi può quale quando quanto quella quelle quello questa queste questi questo se sei senza si sia siamo sono sopra su sua sue sui sul sulla suo tra tu tutti tutto un una uno voi',
+    pt: 'a à ao aos as às até com como da das de dela dele deles do dos e é ela elas ele eles em entre era essa essas esse esses esta estas este estes eu foi for foram há isso isto já la lhe lhes mais mas me mesmo meu meus minha muito na nas nem no nos nós o os ou para pela pelas pelo pelos por qual quando que quem se sem ser seu seus sobre sua suas são também te tem ter um uma umas uns você vocês',
+    nl: 'aan al alle alles als bij dan dat de der deze die dit doch doen door dus een eens en er ge geen geweest haar had heb hebben heeft hem het hier hij hoe hun ik in is ja je kan kon kunnen maar me meer men met mij mijn moet na naar niet niets nog nu of om omdat ons onze ook op over reeds te tegen toch toen tot u uit uw van veel voor want waren was wat we wel werd wezen wie wij wil worden zal ze zei zelf zich zij zijn zo zonder zou'
+}).map(([language, words]) => [language, new Set(words.split(' '))]));
+
+async function extractKeywords(url, page) {
+    try {
+        if (!page) page = await fetchPage(url);
+        
+        const $ = getDocument(page);
+        const elements = extractPageElements($);
+        
+        const title = elements.title;
+        const metaDescription = elements.metaDescription || '';
+        const headings = elements.headings;
+        
+        // Visible text only (no scripts, styles or comments), one block per element
+        const blocks = getTextBlocks($);
+        const bodyTokens = blocks.flatMap(tokenizeKeywordText);
+        const totalWords = bodyTokens.length;
+        const { language, source: languageSource } = detectKeywordLanguage(elements.lang, bodyTokens);
+        
+        const fields = {
+            body: countNgrams(blocks, language),
+            title: countNgrams([title], language),
+            metaDescription: countNgrams([metaDescription], language),
+            h1: countNgrams(headings.filter(h => h.level === 1).map(h => h.text), language),
+            headings: countNgrams(headings.filter(h => h.level > 1).map(h => h.text), language)
+        };
+        
+        // Field-weighted term frequency across every field a term appears in
+        const terms = new Map();
+        Object.entries(fields).forEach(([field, counts]) => {
+            counts.forEach((entry, term) => {
+                if (!terms.has(term)) terms.set(term, { term: term, ngram: entry.ngram, weighted: 0 });
+                terms.get(term).weighted += entry.count * KEYWORD_FIELD_WEIGHTS[field];
+            });
+        });
+        
+        // A term needs repetition, a title mention, or body text backed by a weighted field
+        const candidates = Array.from(terms.values())
+            .filter(candidate => candidate.weighted >= 3)
+            .sort((a, b) => b.weighted - a.weighted)
+            .slice(0, KEYWORD_CANDIDATE_LIMIT);
+        
+        const corpus = await storage.getKeywordCorpus(language, candidates.map(candidate => candidate.term));
+        
+        const ranked = candidates.map(candidate => {
+            const body = fields.body.get(candidate.term);
+            const frequency = body ? body.count : 0;
+            const tf = candidate.weighted / Math.max(totalWords, 1);
+            const idf = Math.log((1 + corpus.documents) / (1 + (corpus.frequencies[candidate.term] || 0))) + 1;
+            const inFields = {
+                title: fields.title.has(candidate.term),
+                metaDescription: fields.metaDescription.has(candidate.term),
+                h1: fields.h1.has(candidate.term),
+                headings: fields.headings.has(candidate.term)
+            };
+            
+            return {
+                keyword: candidate.term,
+                ngram: candidate.ngram,
+                frequency: frequency,
+                density: totalWords > 0 ? Math.round((frequency * candidate.ngram / totalWords) * 10000) / 100 : 0,
+                prominence: calculateProminence(inFields, body ? body.firstPosition : null, totalWords),
+                // Longer phrases are rarer by nature; scaling by length keeps them competitive
+                score: Math.round(tf * idf * candidate.ngram * 100000) / 100000,
+                fields: inFields
+            };
+        }).sort((a, b) => b.score - a.score || b.frequency - a.frequency);
+        
+        const keywords = removeSubsumedTerms(ranked);
+        
+        try {
+            await storage.addKeywordCorpusDocument(language, normalizeAnalysisUrl(url), Array.from(terms.keys()));
+        } catch (error) {
+            console.log('Keyword corpus update failed:', error.message);
+        }
+        
+        return {
+            keywords: keywords.slice(0, KEYWORD_LIMIT),
+            phrases: keywords.filter(keyword => keyword.ngram > 1).slice(0, KEYWORD_PHRASE_LIMIT),
+            language: language,
+            languageSource: languageSource,
+            title: title,
+            metaDescription: metaDescription,
+            headingCount: headings.length,
+            wordCount: totalWords,
+            corpusDocuments: corpus.documents
+        };
+    
+    } catch (error) {
+        return {
+            keywords: [],
+            phrases: [],
+            language: null,
+            title: '',
+            metaDescription: '',
+            headingCount: 0,
+            wordCount: 0,
+            error: error.message
+        };
+    }
+}
+
+function tokenizeKeywordText(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function isStopWord(word, language = 'en') {
+    return word.length < 2 || /^\p{N}+$/u.test(word) || STOPWORDS[language].has(word);
+}
+
+// The declared lang wins when we have a list for it; otherwise the language
+// whose stopwords cover the most of the page is assumed
+function detectKeywordLanguage(langAttribute, tokens) {
+    const declared = String(langAttribute || '').toLowerCase().split(/[-_]/)[0];
+    if (STOPWORDS[declared]) {
+        return { language: declared, source: 'declared' };
+    }
+    
+    let best = 'en';
+    let bestHits = 0;
+    Object.entries(STOPWORDS).forEach(([language, words]) => {
+        const hits = tokens.filter(token => words.has(token)).length;
+        if (hits > bestHits) {
+            best = language;
+            bestHits = hits;
+        }
+    });
+    
+    return { language: best, source: 'detected' };
+}
+
+// Counts 1-3 word n-grams that neither start nor end with a stopword; phrases
+// never cross sentence punctuation. Positions are token offsets into the texts.
+function countNgrams(texts, language) {
+    const counts = new Map();
+    let offset = 0;
+    
+    texts.forEach(text => {
+        String(text || '').split(/[.!?;:,()[\]{}"“”«»|•·…]+|\s[-–—]\s/).forEach(segment => {
+            const tokens = tokenizeKeywordText(segment);
+            
+            tokens.forEach((token, i) => {
+                if (isStopWord(token, language)) return;
+                
+                for (let n = 1; n <= KEYWORD_MAX_NGRAM && i + n <= tokens.length; n++) {
+                    if (isStopWord(tokens[i + n - 1], language)) continue;
+                    
+                    const term = tokens.slice(i, i + n).join(' ');
+                    const entry = counts.get(term);
+                    if (entry) {
+                        entry.count++;
+                    } else {
+                        counts.set(term, { count: 1, ngram: n, firstPosition: offset + i });
+                    }
+                }
+            });
+            
+            offset += tokens.length;
+        });
+    });
+    
+    return counts;
+}
+
+// 0-100: placement in the title and headings, plus how early the body uses it
+function calculateProminence(inFields, firstPosition, totalWords) {
+    let prominence = 0;
+    if (inFields.title) prominence += 30;
+    if (inFields.h1) prominence += 20;
+    if (inFields.metaDescription) prominence += 15;
+    if (inFields.headings) prominence += 10;
+    if (firstPosition !== null && totalWords > 0) {
+        prominence += 25 * (1 - firstPosition / totalWords);
+    }
+    return Math.min(100, Math.round(prominence));
+}
+
+// "widget" is dropped when it only ever occurs inside "acme widget"
+function removeSubsumedTerms(ranked) {
+    return ranked.filter(keyword => !ranked.some(other =>
+        other.ngram > keyword.ngram &&
+        other.frequency === keyword.frequency &&
+        ` ${other.keyword} `.includes(` ${keyword.keyword} `)
+    ));
+}
+
+// COMPETITOR COMPARISON
+async function comparePages(clientUrl, competitorUrls, job) {
+    updateJobStage(job, 'analyze', 'running');
+    const pages = await runWithConcurrency([clientUrl, ...competitorUrls], COMPARE_CONCURRENCY, auditComparedPage);
+    updateJobStage(job, 'analyze', 'completed');
+    
+    updateJobStage(job, 'compare', 'running');
+    const [client, ...competitors] = pages;
+    const rivals = competitors.filter(page => page.reachable);
+    
+    const result = {
+        url: clientUrl,
+        competitors: competitorUrls,
+        timestamp: new Date(),
+        pages: pages,
+        matrix: null
+    };
+    
+    if (client.reachable && rivals.length > 0) {
+        const metricNames = pages => Array.from(new Set(pages.flatMap(page => Object.keys(page.scores))));
+        
+        result.matrix = {
+            scores: Object.fromEntries(metricNames([client, ...rivals])
+                .map(name => [name, compareMetric(client, rivals, page => page.scores[name])])),
+            content: {
+                wordCount: compareMetric(client, rivals, page => page.wordCount),
+                totalHeadings: compareMetric(client, rivals, page => Object.values(page.headings).reduce((a, b) => a + b, 0)),
+                ...Object.fromEntries(['h1', 'h2', 'h3'].map(level => [level, compareMetric(client, rivals, page => page.headings[level])]))
+            },
+            keywordGaps: findKeywordGaps(client, rivals),
+            structuredData: findStructuredDataGaps(client, rivals)
+        };
+    }
+    updateJobStage(job, 'compare', 'completed');
+    
+    return result;
+}
+
+// Each page is fetched once and shared by all three analyzers
+async function auditComparedPage(url) {
+    try {
+        const page = await fetchPage(url);
+        const $ = getDocument(page);
+        const elements = extractPageElements($);
+        
+        const [technical, keywords, geo] = await Promise.all([
+            analyzeRealTechnicalSEO(url, page),
+            extractKeywords(url, page),
+            analyzeGEOOptimization(url, null, page)
+        ]);
+        
+        const headings = { h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 };
+        elements.headings.forEach(heading => headings['h' + heading.level]++);
+        
+        const audit = {
+            url: url,
+            reachable: true,
+            scores: { technical: technical.overallScore, geo: geo.geoScore, ...technical.scores },
+            wordCount: keywords.wordCount,
+            headings: headings,
+            structuredDataTypes: extractStructuredData($).types,
+            keywords: keywords.keywords.map(keyword => keyword.keyword)
+        };
+        
+        // Kept out of the response; only the gap analysis needs the full text
+        Object.defineProperty(audit, 'tokens', { value: getTextBlocks($).flatMap(tokenizeKeywordText) });
+        
+        return audit;
+    } catch (error) {
+        const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+        return { url: url, reachable: false, error: reason };
+    }
+}
+
+function compareMetric(client, rivals, getValue) {
+    const values = rivals.map(getValue).filter(value => typeof value === 'number');
+    const clientValue = getValue(client);
+    const average = values.length > 0 ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10 : null;
+    
+    return {
+        client: clientValue ?? null,
+        competitors: Object.fromEntries(rivals.map(page => [page.url, getValue(page) ?? null])),
+        competitorAverage: average,
+        competitorBest: values.length > 0 ? Math.max(...values) : null,
+        gap: typeof clientValue === 'number' && average !== null ? Math.round((clientValue - average) * 10) / 10 : null
+    };
+}
+
+// Competitor keywords that never appear on the client page, most widely used first
+function findKeywordGaps(client, rivals) {
+    const missing = new Map();
+    
+    rivals.forEach(rival => {
+        rival.keywords.forEach(keyword => {
+            if (countPhraseOccurrences(client.tokens, tokenizeKeywordText(keyword)) > 0) return;
+            if (!missing.has(keyword)) missing.set(keyword, []);
+            missing.get(keyword).push(rival.url);
+        });
+    });
+    
+    const clientOnly = client.keywords.filter(keyword =>
+        rivals.every(rival => countPhraseOccurrences(rival.tokens, tokenizeKeywordText(keyword)) === 0));
+    
+    return {
+        missing: Array.from(missing.entries())
+            .map(([keyword, usedBy]) => ({ keyword: keyword, usedBy: usedBy, competitorCount: usedBy.length }))
+            .sort((a, b) => b.competitorCount - a.competitorCount)
+            .slice(0, COMPARE_KEYWORD_GAP_LIMIT),
+        clientOnly: clientOnly
+    };
+}
+
+function findStructuredDataGaps(client, rivals) {
+    const missing = new Map();
+    
+    rivals.forEach(rival => {
+        rival.structuredDataTypes
+            .filter(type => !client.structuredDataTypes.includes(type))
+            .forEach(type => {
+                if (!missing.has(type)) missing.set(type, []);
+                missing.get(type).push(rival.url);
+            });
+    });
+    
+    return {
+        client: client.structuredDataTypes,
+        missing: Array.from(missing.entries())
+            .map(([type, usedBy]) => ({ type: type, usedBy: usedBy }))
+            .sort((a, b) => b.usedBy.length - a.usedBy.length)
+    };
+}
+
+// TARGET KEYWORD SCORING
+// Points per on-page placement; density is graded separately below
+const KEYWORD_TARGET_CHECKS = {
+    title: 20,
+    h1: 15,
+    firstWords: 15,
+    density: 15,
+    urlSlug: 10,
+    metaDescription: 10,
+    imageAlt: 10,
+    subheadings: 5
+};
+const KEYWORD_TARGET_MAX = 10;
+const KEYWORD_DENSITY_RANGE = { min: 0.5, max: 2.5, stuffing: 4 };
+
+function parseTargetKeywords(input) {
+    if (input === undefined || input === null || input === '') return { keywords: [] };
+    
+    const list = Array.isArray(input) ? input : String(input).split(',');
+    if (list.some(keyword => typeof keyword !== 'string')) {
+        return { error: 'Keywords must be strings' };
+    }
+    
+    const keywords = Array.from(new Set(list.map(keyword => keyword.trim().replace(/\s+/g, ' ')).filter(Boolean)));
+    if (keywords.length > KEYWORD_TARGET_MAX) {
+        return { error: `At most ${KEYWORD_TARGET_MAX} target keywords per analysis` };
+    }
+    if (keywords.some(keyword => keyword.length > 100)) {
+        return { error: 'Keywords must be 100 characters or fewer' };
+    }
+    if (keywords.some(keyword => tokenizeKeywordText(keyword).length === 0)) {
+        return { error: 'Keywords must contain letters or numbers' };
+    }
+    
+    return { keywords: keywords };
+}
+
+async function analyzeKeywordTargeting(url, page, keywords) {
+    if (!page) page = await fetchPage(url);
+    
+    const $ = getDocument(page);
+    const elements = extractPageElements($);
+    const bodyTokens = getTextBlocks($).flatMap(tokenizeKeywordText);
+    const slugTokens = tokenizeKeywordText(safeDecodeURIComponent(new URL(url).pathname));
+    
+    const targets = keywords.map(keyword => scoreTargetKeyword(keyword, elements, bodyTokens, slugTokens));
+    
+    return {
+        keywords: targets,
+        averageScore: targets.length > 0 ? Math.round(targets.reduce((sum, t) => sum + t.score, 0) / targets.length) : 0
+    };
+}
+
+function scoreTargetKeyword(keyword, elements, bodyTokens, slugTokens) {
+    const phrase = tokenizeKeywordText(keyword);
+    const occurrencesIn = tokens => countPhraseOccurrences(tokens, phrase);
+    const contains = text => occurrencesIn(tokenizeKeywordText(text)) > 0;
+    const containsAllWords = text => {
+        const words = new Set(tokenizeKeywordText(text));
+        return phrase.every(word => words.has(word));
+    };
+    
+    const h1Text = elements.h1s.join(' | ');
+    const subheadings = elements.headings.filter(h => h.level > 1).map(h => h.text);
+    const occurrences = occurrencesIn(bodyTokens);
+    const density = bodyTokens.length > 0 ? Math.round((occurrences * phrase.length / bodyTokens.length) * 10000) / 100 : 0;
+    
+    const checks = {};
+    const fixes = [];
+    const check = (name, points, passed, detail, fix) => {
+        checks[name] = { passed: passed, points: points, maxPoints: KEYWORD_TARGET_CHECKS[name], detail: detail };
+        if (!passed && fix) fixes.push(fix);
+    };
+    
+    if (contains(elements.title)) {
+        const frontLoaded = tokenizeKeywordText(elements.title).join(' ').indexOf(phrase.join(' ')) <= 20;
+        check('title', KEYWORD_TARGET_CHECKS.title, true, frontLoaded ? 'In title, near the start' : 'In title');
+        if (!frontLoaded) fixes.push(`Move "${keyword}" towards the start of the title`);
+    } else if (containsAllWords(elements.title)) {
+        check('title', KEYWORD_TARGET_CHECKS.title / 2, false, 'All words in title, but not as a phrase',
+            `Use the exact phrase "${keyword}" in the title (currently "${elements.title}")`);
+    } else {
+        check('title', 0, false, elements.title ? 'Not in title' : 'Page has no title',
+            `Add "${keyword}" to the title tag${elements.title ? ` (currently "${elements.title}")` : ''}`);
+    }
+    
+    const inH1 = contains(h1Text);
+    check('h1', inH1 ? KEYWORD_TARGET_CHECKS.h1 : 0, inH1, inH1 ? 'In H1' : (elements.h1s.length ? 'Not in H1' : 'Page has no H1'),
+        elements.h1s.length ? `Include "${keyword}" in the H1 (currently "${elements.h1s[0]}")` : `Add an H1 containing "${keyword}"`);
+    
+    const inFirstWords = countPhraseOccurrences(bodyTokens.slice(0, 100 + phrase.length - 1), phrase) > 0;
+    check('firstWords', inFirstWords ? KEYWORD_TARGET_CHECKS.firstWords : 0, inFirstWords,
+        inFirstWords ? 'In the first 100 words' : 'Not in the first 100 words',
+        `Mention "${keyword}" in the opening paragraph`);
+    
+    let densityPoints = 0;
+    let densityDetail;
+    let densityFix;
+    if (occurrences === 0) {
+        densityDetail = 'Not used in body text';
+        densityFix = `Use "${keyword}" in the body copy (aim for ${KEYWORD_DENSITY_RANGE.min}-${KEYWORD_DENSITY_RANGE.max}% density)`;
+    } else if (density > KEYWORD_DENSITY_RANGE.stuffing) {
+        densityPoints = 5;
+        densityDetail = `${density}% density looks like keyword stuffing`;
+        densityFix = `Reduce repetitions of "${keyword}" (${occurrences} uses, ${density}%) and use synonyms instead`;
+    } else if (density < KEYWORD_DENSITY_RANGE.min || density > KEYWORD_DENSITY_RANGE.max) {
+        densityPoints = 8;
+        densityDetail = `${density}% density, outside ${KEYWORD_DENSITY_RANGE.min}-${KEYWORD_DENSITY_RANGE.max}%`;
+        densityFix = density < KEYWORD_DENSITY_RANGE.min
+            ? `Use "${keyword}" a few more times in the body (${occurrences} uses, ${density}%)`
+            : `Use "${keyword}" slightly less often (${occurrences} uses, ${density}%)`;
+    } else {
+        densityPoints = KEYWORD_TARGET_CHECKS.density;
+        densityDetail = `${density}% density`;
+    }
+    check('density', densityPoints, densityPoints === KEYWORD_TARGET_CHECKS.density, densityDetail, densityFix);
+    
+    const inSlug = countPhraseOccurrences(slugTokens, phrase) > 0;
+    check('urlSlug', inSlug ? KEYWORD_TARGET_CHECKS.urlSlug : 0, inSlug, inSlug ? 'In URL slug' : 'Not in URL slug',
+        `Use a URL slug containing "${slugify(keyword)}"`);
+    
+    const inMeta = contains(elements.metaDescription || '');
+    check('metaDescription', inMeta ? KEYWORD_TARGET_CHECKS.metaDescription : 0, inMeta,
+        inMeta ? 'In meta description' : (elements.metaDescription ? 'Not in meta description' : 'Page has no meta description'),
+        `Include "${keyword}" in the meta description`);
+    
+    const imagesWithKeyword = elements.images.filter(image => contains(image.alt || '')).length;
+    check('imageAlt', imagesWithKeyword > 0 ? KEYWORD_TARGET_CHECKS.imageAlt : 0, imagesWithKeyword > 0,
+        elements.images.length === 0 ? 'Page has no images' : `${imagesWithKeyword} of ${elements.images.length} image alt texts`,
+        elements.images.length === 0 ? `Add a relevant image with "${keyword}" in its alt text` : `Describe at least one image with "${keyword}" in its alt text`);
+    
+    const inSubheadings = subheadings.some(contains);
+    check('subheadings', inSubheadings ? KEYWORD_TARGET_CHECKS.subheadings : 0, inSubheadings,
+        inSubheadings ? 'In a subheading' : 'Not in any H2-H6',
+        `Add a subheading (H2) that uses "${keyword}"`);
+    
+    const score = Math.round(Object.values(checks).reduce((sum, c) => sum + c.points, 0));
+    
+    return {
+        keyword: keyword,
+        score: score,
+        grade: score >= 90 ? 'A' : score >= 75 ? 'B' : score >= 60 ? 'C' : score >= 40 ? 'D' : 'F',
+        occurrences: occurrences,
+        density: density,
+        checks: checks,
+        fixes: fixes
+    };
+}
+
+function countPhraseOccurrences(tokens, phrase) {
+    if (phrase.length === 0) return 0;
+    
+    let count = 0;
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+        if (phrase.every((word, j) => tokens[i + j] === word)) count++;
+    }
+    return count;
+}
+
+// REAL GEO ANALYSIS FUNCTION
+async function analyzeGEOOptimization(url, topic, page) {
+    try {
+        if (!page) page = await fetchPage(url);
+        
+        const $ = getDocument(page);
+        const elements = extractPageElements($);
+        
+        // Visible text only (no scripts, styles or comments)
+        const textContent = getVisibleText($);
+        
+        // Initialize GEO score factors
+        let geoScore = 0;
+        const maxScore = 100;
+        const factors = {
+            directAnswers: 0,
+            structuredContent: 0,
+            faqSections: 0,
+            comprehensiveness: 0,
+            readability: 0,
+            questionFormat: 0
+        };
+        
+        const recommendations = [];
+        
+        // 1. Direct Answers Analysis (25 points)
+        const firstParagraph = getFirstParagraph($);
+        if (firstParagraph.length > 50) {
+            factors.directAnswers = 15;
+            if (containsDirectAnswer(firstParagraph)) {
+                factors.directAnswers = 25;
+            }
+        } else {
+            recommendations.push("Add a clear, direct answer in the first paragraph");
+        }
+        
+        // 2. Structured Content Analysis (20 points)
+        const listCount = $('body ul, body ol').length;
+        const bulletPoints = $('body li').length;
+        
+        if (listCount > 0 && bulletPoints > 3) {
+            factors.structuredContent = 20;
+        } else if (listCount > 0) {
+            factors.structuredContent = 10;
+        } else {
+            recommendations.push("Add bullet points and numbered lists for better AI parsing");
+        }
+        
+        // 3. FAQ Sections Analysis (20 points)
+        const faqIndicators = [
+            /frequently\s+asked\s+questions/gi,
+            /faq/gi,
+            /q:\s*|question:\s*/gi,
+            /a:\s*|answer:\s*/gi
+        ];
+        
+        let faqScore = 0;
+        faqIndicators.forEach(pattern => {
+            if (pattern.test(textContent)) {
+                faqScore += 5;
+            }
+        });
+        
+        // Valid FAQPage/QAPage markup is the clearest Q&A signal an AI engine gets
+        const structuredData = extractStructuredData($);
+        const hasFAQSchema = structuredData.items.some(item => ['FAQ', 'Q&A'].includes(item.richResult) && item.errors.length === 0);
+        if (hasFAQSchema) {
+            faqScore += 10;
+        }
+        
+        factors.faqSections = Math.min(faqScore, 20);
+        
+        if (factors.faqSections < 10) {
+            recommendations.push("Add an FAQ section with common questions and direct answers");
+        }
+        
+        // 4. Comprehensiveness Analysis (15 points)
+        const wordCount = textContent.split(' ').length;
+        if (wordCount > 1000) {
+            factors.comprehensiveness = 15;
+        } else if (wordCount > 500) {
+            factors.comprehensiveness = 10;
+        } else if (wordCount > 200) {
+            factors.comprehensiveness = 5;
+        } else {
+            recommendations.push("Expand content to provide more comprehensive coverage of the topic");
+        }
+        
+        // 5. Readability Analysis (10 points)
+        const headingCount = elements.headings.length;
+        const paragraphCount = $('body p').length;
+        
+        if (headingCount >= 3 && paragraphCount >= 5) {
+            factors.readability = 10;
+        } else if (headingCount >= 2) {
+            factors.readability = 5;
+        } else {
+            recommendations.push("Improve content structure with more headings and shorter paragraphs");
+        }
+        
+        // 6. Question Format Analysis (10 points)
+        const questionWords = ['what', 'how', 'why', 'when', 'where', 'who'];
+        const questionHeadingTexts = elements.headings
+            .map(h => h.text)
+            .filter(text => {
+                const heading = text.toLowerCase();
+                return questionWords.some(qw => heading.includes(qw + ' ')) || heading.includes('?');
+            });
+        const questionHeadings = questionHeadingTexts.length;
+        
+        if (questionHeadings >= 2) {
+            factors.questionFormat = 10;
+        } else if (questionHeadings >= 1) {
+            factors.questionFormat = 5;
+        } else {
+            recommendations.push("Use question-format headings (What is...? How to...?) for better AI understanding");
+        }
+        
+        // Calculate total GEO score
+        geoScore = Object.values(factors).reduce((sum, score) => sum + score, 0);
+        
+        // AI-specific recommendations based on analysis
+        if (topic) {
+            recommendations.push(`Optimize content specifically for "${topic}" queries that AI users commonly ask`);
+        }
+        
+        if (geoScore < 70) {
+            recommendations.push("Consider restructuring content to answer user questions more directly");
+        }
+        
+        if (structuredData.items.length === 0) {
+            recommendations.push("Add FAQ schema markup to help AI engines understand your Q&A content");
+        } else if (structuredData.errorCount > 0) {
+            recommendations.push(`Fix ${structuredData.errorCount} structured data error(s) - invalid markup is ignored by AI engines`);
+        } else if (!hasFAQSchema && factors.faqSections >= 10) {
+            recommendations.push("Mark up your FAQ section with FAQPage schema");
+        }
+        
+        // Generate specific insights
+        const insights = generateGEOInsights(factors, textContent, topic);
+        
+        return {
+            geoScore: Math.round(geoScore),
+            maxScore: maxScore,
+            percentage: Math.round((geoScore / maxScore) * 100),
+            factors: factors,
+            recommendations: recommendations.slice(0, 8), // Limit to top 8 recommendations
+            insights: insights,
+            analysis: {
+                wordCount: wordCount,
+                headingCount: headingCount,
+                listCount: listCount,
+                bulletPoints: bulletPoints,
+                questionHeadings: questionHeadings,
+                questionHeadingTexts: questionHeadingTexts,
+                firstParagraph: firstParagraph.substring(0, 300),
+                hasDirectAnswer: factors.directAnswers > 15,
+                hasFAQ: factors.faqSections > 10,
+                hasFAQSchema: hasFAQSchema,
+                structuredDataTypes: structuredData.types,
+                isComprehensive: factors.comprehensiveness > 10
+            }
+        };
+        
+    } catch (error) {
+        return {
+            geoScore: 0,
+            maxScore: 100,
+            percentage: 0,
+            factors: {},
+            recommendations: ['Unable to analyze website content for GEO optimization'],
+            insights: [],
+            analysis: {},
+            error: error.message
+        };
+    }
+}
+
+function getFirstParagraph($) {
+    const paragraph = $('body p').filter((i, el) => $(el).text().trim().length > 0).first();
+    return paragraph.length > 0 ? paragraph.text().replace(/\s+/g, ' ').trim() : '';
+}
+
+function containsDirectAnswer(text) {
+    const directAnswerPatterns = [
+        /^(yes|no|the answer is|simply|basically|essentially)/i,
+        /(is|are|means|refers to|involves)/i,
+        /^(to|in order to|you can|you should|you need)/i
+    ];
+    
+    return directAnswerPatterns.some(pattern => pattern.test(text));
+}
+
+function generateGEOInsights(factors, content, topic) {
+    const insights = [];
+    
+    if (factors.directAnswers >= 20) {
+        insights.push("✅ Excellent direct answer format - AI engines will easily extract key information");
+    } else if (factors.directAnswers >= 10) {
+        insights.push("⚠️ Good start with direct answers, but could be more concise and clear");
+    } else {
+        insights.push("❌ Missing direct answers - add clear, immediate responses to user questions");
+    }
+    
+    if (factors.structuredContent >= 15) {
+        insights.push("✅ Well-structured content with good use of lists and bullet points");
+    } else {
+        insights.push("⚠️ Content needs better structure - more bullet points and numbered lists");
+    }
+    
+    if (factors.faqSections >= 15) {
+        insights.push("✅ Strong FAQ presence - perfect for AI question-answering");
+    } else if (factors.faqSections >= 5) {
+        insights.push("⚠️ Some Q&A elements found, but could expand FAQ sections");
+    } else {
+        insights.push("❌ No FAQ sections detected - critical for GEO optimization");
+    }
+    
+    if (factors.comprehensiveness >= 12) {
+        insights.push("✅ Comprehensive content coverage");
+    } else {
+        insights.push("⚠️ Content could be more comprehensive and detailed");
+    }
+    
+    return insights;
+}
+
+// LLM PROVIDERS
+// Providers take { system, prompt, schema, schemaName, context } and return
+// { text, usage: { inputTokens, outputTokens } }. With a schema, text is the
+// JSON reply for the caller to parse (after recording usage, since the tokens
+// are spent either way); without one, the plain-text answer.
+function createLLMProvider(name, model = LLM_DEFAULT_MODELS[name]) {
+    if (name === 'openai') {
+        return createOpenAICompatibleProvider('openai', model, 'https://api.openai.com/v1', OPENAI_API_KEY, 'OPENAI_API_KEY');
+    }
+    if (name === 'local') {
+        // Local servers usually need no key; LLM_API_KEY is sent when set
+        return createOpenAICompatibleProvider('local', model, LLM_BASE_URL.replace(/\/$/, ''), process.env.LLM_API_KEY, null);
+    }
+    if (name === 'anthropic') {
+        return createAnthropicProvider(model);
+    }
+    if (name === 'mock') {
+        return createMockLLMProvider(model);
+    }
+    throw new Error(`Unknown LLM provider: ${name}`);
+}
+
+// requiredKeyName names the setting that must hold apiKey, or null when optional
+function createOpenAICompatibleProvider(name, model, baseUrl, apiKey, requiredKeyName) {
+    return {
+        name: name,
+        model: model,
+        
+        async complete({ system, prompt, schema, schemaName }) {
+            if (requiredKeyName && !apiKey) {
+                throw new Error(`${requiredKeyName} is not configured`);
+            }
+            
+            const response = await axios.post(`${baseUrl}/chat/completions`, {
+                model: model,
+                messages: [
+                    { role: 'system', content: system },
+                    { role: 'user', content: prompt }
+                ],
+                max_tokens: LLM_MAX_TOKENS,
+                temperature: 0.2,
+                ...(schema ? {
+                    response_format: {
+                        type: 'json_schema',
+                        json_schema: { name: schemaName, strict: true, schema: schema }
+                    }
+                } : {})
+            }, {
+                headers: {
+                    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                    'Content-Type': 'application/json'
+                },
+                timeout: 60000
+            });
+            
+            return {
+                text: String(response.data.choices?.[0]?.message?.content || ''),
+                usage: {
+                    inputTokens: response.data.usage?.prompt_tokens || 0,
+                    outputTokens: response.data.usage?.completion_tokens || 0
+                }
+            };
+        }
+    };
+}
+
+// Structured output through a forced tool call, whose input follows the schema
+function createAnthropicProvider(model) {
+    return {
+        name: 'anthropic',
+        model: model,
+        
+        async complete({ system, prompt, schema, schemaName }) {
+            if (!ANTHROPIC_API_KEY) {
+                throw new Error('ANTHROPIC_API_KEY is not configured');
+            }
+            
+            const response = await axios.post('https://api.anthropic.com/v1/messages', {
+                model: model,
+                max_tokens: LLM_MAX_TOKENS,
+                temperature: 0.2,
+                system: system,
+                messages: [{ role: 'user', content: prompt }],
+                ...(schema ? {
+                    tools: [{ name: schemaName, description: 'Record the structured result', input_schema: schema }],
+                    tool_choice: { type: 'tool', name: schemaName }
+                } : {})
+            }, {
+                headers: {
+                    'x-api-key': ANTHROPIC_API_KEY,
+                    'anthropic-version': '2023-06-01',
+                    'Content-Type': 'application/json'
+                },
+                timeout: 60000
+            });
+            
+            const blocks = response.data.content || [];
+            const toolUse = blocks.find(block => block.type === 'tool_use');
+            return {
+                text: schema
+                    ? (toolUse ? JSON.stringify(toolUse.input) : '')
+                    : blocks.filter(block => block.type === 'text').map(block => block.text).join('\n'),
+                usage: {
+                    inputTokens: response.data.usage?.input_tokens || 0,
+                    outputTokens: response.data.usage?.output_tokens || 0
+                }
+            };
+        }
+    };
+}
+
+// Same input, same output: one recommendation per detected issue, or for
+// plain-text prompts an answer naming a prompt-dependent subset of
+// context.brands. Token counts are estimated at four characters per token.
+function createMockLLMProvider(model) {
+    const estimateTokens = text => Math.ceil(text.length / 4);
+    
+    return {
+        name: 'mock',
+        model: model,
+        
+        async complete({ system, prompt, schema, context }) {
+            if (!schema) {
+                const picks = ((context && context.brands) || []).filter(brand => hashString(prompt + brand.name) % 3 !== 0);
+                const answer = picks.length === 0
+                    ? `There is no single answer to "${prompt}"; it depends on your needs.`
+                    : `For "${prompt}", good options include ${picks.map(brand =>
+                        hashString(brand.name + prompt) % 2 === 0 && brand.domain ? `${brand.name} (${brand.domain})` : brand.name).join(', ')}.`;
+                return { text: answer, usage: { inputTokens: estimateTokens(system + prompt), outputTokens: estimateTokens(answer) } };
+            }
+            
+            const issues = (context && context.issues) || [];
+            const recommendations = issues.slice(0, AI_RECOMMENDATION_LIMIT).map((issue, i) => ({
+                issue: issue,
+                fix: `Resolve "${issue}" and re-run the analysis`,
+                priority: i < 2 ? 'high' : 'medium',
+                effort: 'medium'
+            }));
+            
+            if (recommendations.length === 0) {
+                recommendations.push({
+                    issue: 'No issues detected',
+                    fix: 'Keep content fresh and monitor scores over time',
+                    priority: 'low',
+                    effort: 'low'
+                });
+            }
+            
+            const text = JSON.stringify({ recommendations: recommendations });
+            return {
+                text: text,
+                usage: {
+                    inputTokens: estimateTokens(system + prompt),
+                    outputTokens: estimateTokens(text)
+                }
+            };
+        }
+    };
+}
+
+// Local models often wrap JSON in a code fence despite the response format
+function parseLLMJson(text) {
+    const unfenced = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(unfenced);
+    } catch (error) {
+        throw new Error('Model did not return valid JSON');
+    }
+}
+
+function hashString(text) {
+    return crypto.createHash('md5').update(text).digest().readUInt32BE(0);
+}
+
+// AI RECOMMENDATIONS
+const AI_RECOMMENDATION_LIMIT = 8;
+const AI_PRIORITIES = ['high', 'medium', 'low'];
+const AI_EFFORTS = ['low', 'medium', 'high'];
+
+const AI_RECOMMENDATION_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['recommendations'],
+    properties: {
+        recommendations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['issue', 'fix', 'priority', 'effort'],
+                properties: {
+                    issue: { type: 'string', description: 'The problem, specific to this page' },
+                    fix: { type: 'string', description: 'A concrete change to make' },
+                    priority: { type: 'string', enum: AI_PRIORITIES },
+                    effort: { type: 'string', enum: AI_EFFORTS }
+                }
+            }
+        }
+    }
+};
+
+// USD per million tokens; local and mock models are free
+const LLM_PRICING = {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 }
+};
+
+// Shown, and flagged as fallback, when the provider fails or returns nothing usable
+const FALLBACK_RECOMMENDATIONS = [
+    { issue: 'Page titles may not target your main keywords', fix: 'Optimize page titles for target keywords', priority: 'high', effort: 'low' },
+    { issue: 'Search snippets may be auto-generated', fix: 'Add meta descriptions to improve CTR', priority: 'medium', effort: 'low' },
+    { issue: 'Slow pages lose visitors and rankings', fix: 'Improve page loading speed', priority: 'medium', effort: 'high' },
+    { issue: 'Rich results need structured data', fix: 'Add structured data markup', priority: 'medium', effort: 'medium' }
+];
+
+async function getAIRecommendations(results, page, customer) {
+    const context = buildRecommendationContext(results, page);
+    const base = { provider: llmProvider.name, model: llmProvider.model };
+    
+    try {
+        const response = await llmProvider.complete({
+            system: 'You are a senior technical SEO consultant. Recommend the changes that will most improve this page\'s ' +
+                'search and AI-answer visibility. Base every recommendation on the analysis data provided; do not invent ' +
+                'problems the data does not show. Return at most ' + AI_RECOMMENDATION_LIMIT + ' recommendations, most important first.',
+            prompt: `Analysis of ${results.url}:\n${JSON.stringify(context, null, 2)}`,
+            schema: AI_RECOMMENDATION_SCHEMA,
+            schemaName: 'seo_recommendations',
+            context: context
+        });
+        
+        // Tokens are spent whether or not the reply turns out to be usable
+        const usage = {
+            ...response.usage,
+            costUsd: calculateLLMCost(llmProvider, response.usage)
+        };
+        await recordLLMUsage(customer, llmProvider, usage);
+        
+        let recommendations;
+        try {
+            recommendations = normalizeAIRecommendations(parseLLMJson(response.text));
+        } catch (error) {
+            throw Object.assign(error, { usage: usage });
+        }
+        if (recommendations.length === 0) {
+            throw Object.assign(new Error('Model returned no usable recommendations'), { usage: usage });
+        }
+        
+        return { ...base, fallback: false, recommendations: recommendations, usage: usage };
+    
+    } catch (error) {
+        const message = error.response?.data?.error?.message || error.message;
+        console.log('AI recommendations error:', message);
+        return { ...base, fallback: true, recommendations: FALLBACK_RECOMMENDATIONS, usage: error.usage || null, error: message };
+    }
+}
+
+// The model sees the structured findings rather than raw HTML
+function buildRecommendationContext(results, page) {
+    const context = {
+        title: results.technical.title || null,
+        metaDescription: results.technical.metaDescription || null,
+        h1: results.technical.h1s || [],
+        scores: results.scores,
+        issues: results.issues || [],
+        opportunities: results.opportunities || [],
+        brokenLinks: (results.brokenLinks || []).length,
+        topKeywords: (results.extractedKeywords || []).slice(0, 10).map(keyword => keyword.keyword)
+    };
+    
+    if (results.keywordTargeting) {
+        context.targetKeywords = results.keywordTargeting.keywords.map(target => ({
+            keyword: target.keyword,
+            grade: target.grade,
+            fixes: target.fixes
+        }));
+    }
+    
+    const mobile = results.pageSpeed?.strategies?.mobile;
+    if (mobile && mobile.available) {
+        context.performance = {
+            source: 'pagespeed',
+            mobileScore: mobile.categories.performance,
+            coreWebVitals: mobile.coreWebVitals.map(vital => ({ metric: vital.metric, rating: (vital.field || vital.lab)?.rating || null }))
+        };
+    } else if (results.performanceEstimate) {
+        context.performance = {
+            source: 'estimate',
+            score: results.performanceEstimate.score,
+            findings: results.performanceEstimate.findings.map(finding => finding.message)
+        };
+    }
+    
+    if (page) {
+        context.contentExcerpt = getVisibleText(getDocument(page)).substring(0, 1500);
+    }
+    
+    return context;
+}
+
+function normalizeAIRecommendations(content) {
+    const items = content && Array.isArray(content.recommendations) ? content.recommendations : [];
+    
+    return items
+        .filter(item => item && typeof item.issue === 'string' && item.issue.trim() && typeof item.fix === 'string' && item.fix.trim())
+        .map(item => ({
+            issue: item.issue.trim(),
+            fix: item.fix.trim(),
+            priority: AI_PRIORITIES.includes(String(item.priority).toLowerCase()) ? String(item.priority).toLowerCase() : 'medium',
+            effort: AI_EFFORTS.includes(String(item.effort).toLowerCase()) ? String(item.effort).toLowerCase() : 'medium'
+        }))
+        .slice(0, AI_RECOMMENDATION_LIMIT);
+}
+
+// Dated model names ("gpt-4o-mini-2024-07-18") use their family's price
+function calculateLLMCost(provider, usage) {
+    if (['local', 'mock'].includes(provider.name)) return 0;
+    
+    const model = provider.model;
+    const family = Object.keys(LLM_PRICING)
+        .filter(name => model === name || model.startsWith(`${name}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    if (!family) return 0;
+    
+    const price = LLM_PRICING[family];
+    const cost = (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1000000;
+    return Math.round(cost * 1000000) / 1000000;
+}
+
+async function recordLLMUsage(customer, provider, usage) {
+    if (!customer) return;
+    
+    try {
+        await storage.recordLLMUsage({
+            customerEmail: customer.email,
+            provider: provider.name,
+            model: provider.model,
+            inputTokens: usage.inputTokens,
+            outputTokens: usage.outputTokens,
+            costUsd: usage.costUsd,
+            createdAt: new Date()
+        });
+    } catch (error) {
+        console.log('LLM usage recording failed:', error.message);
+    }
+}
+
+// GEO VISIBILITY
+// Asks the configured answer engines the customer's prompts and checks whether
+// the brand is mentioned (by name or domain) or cited (its domain appears).
+// Share of voice is the brand's share of all brand mentions, counting each
+// brand once per answer. Runs are stored against the site's origin, since
+// visibility belongs to the brand rather than to one page.
+const GEO_VISIBILITY_DEFAULT_PROMPTS = [
+    'What are the best {topic}?',
+    'Which {topic} would you recommend?',
+    'Who are the leading companies for {topic}?',
+    'What are good alternatives for {topic}?',
+    'What should I look for when choosing {topic}?'
+];
+
+const GEO_VISIBILITY_SYSTEM_PROMPT = 'You are a helpful assistant. Answer the question directly, naming specific ' +
+    'companies, products and websites where they are relevant.';
+
+const GEO_VISIBILITY_EXCERPT_LENGTH = 400;
+
+function validateVisibilityRequest(body) {
+    const { url, topic, brand, prompts, competitors, providers } = body;
+    
+    if (!url) return { error: 'URL is required' };
+    
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return { error: `Invalid URL: ${url}` };
+    }
+    
+    if (prompts !== undefined && (!Array.isArray(prompts) || prompts.length === 0 ||
+        prompts.some(prompt => typeof prompt !== 'string' || !prompt.trim() || prompt.length > 500))) {
+        return { error: 'Prompts must be a non-empty list of questions (up to 500 characters each)' };
+    }
+    if (prompts && prompts.length > GEO_VISIBILITY_MAX_PROMPTS) {
+        return { error: `At most ${GEO_VISIBILITY_MAX_PROMPTS} prompts per check` };
+    }
+    
+    const templates = prompts || GEO_VISIBILITY_DEFAULT_PROMPTS;
+    if (templates.some(prompt => prompt.includes('{topic}')) && !(typeof topic === 'string' && topic.trim())) {
+        return { error: 'Topic is required unless every prompt is written out in full' };
+    }
+    
+    if (competitors !== undefined && !Array.isArray(competitors)) {
+        return { error: 'Competitors must be a list of brand names or domains' };
+    }
+    if (competitors && competitors.length > GEO_VISIBILITY_MAX_COMPETITORS) {
+        return { error: `At most ${GEO_VISIBILITY_MAX_COMPETITORS} competitors per check` };
+    }
+    
+    const configured = geoVisibilityProviders.map(provider => provider.name);
+    if (providers !== undefined && (!Array.isArray(providers) || providers.length === 0 || providers.some(name => !configured.includes(name)))) {
+        return { error: `Providers must be a list of: ${configured.join(', ')}` };
+    }
+    
+    const domain = parsed.hostname.replace(/^www\./, '');
+    const customerBrand = parseVisibilityBrand(typeof brand === 'string' && brand.trim() ? { name: brand, domain: domain } : domain);
+    const rivals = (competitors || []).map(parseVisibilityBrand);
+    if (rivals.some(rival => !rival)) {
+        return { error: 'Each competitor needs a name or domain' };
+    }
+    
+    return {
+        url: `${parsed.origin}/`,
+        topic: typeof topic === 'string' ? topic.trim() : null,
+        brand: customerBrand,
+        competitors: rivals,
+        prompts: templates.map(prompt => prompt.trim().replace(/\{topic\}/g, topic ? topic.trim() : '')),
+        providers: geoVisibilityProviders.filter(provider => !providers || providers.includes(provider.name))
+    };
+}
+
+// "acme.com" becomes { name: 'acme', domain: 'acme.com' }; names are matched case-insensitively
+function parseVisibilityBrand(entry) {
+    if (typeof entry === 'string') {
+        const value = entry.trim();
+        if (!value) return null;
+        if (/^[^\s/]+\.[a-z]{2,}$/i.test(value) || /^https?:\/\//i.test(value)) {
+            try {
+                const domain = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`).hostname.replace(/^www\./, '');
+                return { name: domain.split('.')[0], domain: domain };
+            } catch (e) {
+                return null;
+            }
+        }
+        return { name: value, domain: null };
+    }
+    if (entry && typeof entry === 'object' && typeof entry.name === 'string' && entry.name.trim()) {
+        const domain = typeof entry.domain === 'string' && entry.domain.trim()
+            ? entry.domain.trim().replace(/^https?:\/\//i, '').replace(/^www\./, '').replace(/\/.*$/, '').toLowerCase()
+            : null;
+        return { name: entry.name.trim(), domain: domain };
+    }
+    return null;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Position is the character offset of the first mention, used to rank brands within an answer
+function findBrandMention(answer, brand) {
+    const nameMatch = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(brand.name)}(?=$|[^\\p{L}\\p{N}])`, 'iu').exec(answer);
+    const domainMatch = brand.domain
+        ? new RegExp(`(^|[^a-z0-9.-])(?:[a-z0-9-]+\\.)*${escapeRegExp(brand.domain)}(?=$|[^a-z0-9-])`, 'i').exec(answer)
+        : null;
+    
+    const positions = [nameMatch, domainMatch].filter(Boolean).map(match => match.index + match[1].length);
+    return {
+        mentioned: positions.length > 0,
+        cited: Boolean(domainMatch),
+        position: positions.length > 0 ? Math.min(...positions) : null
+    };
+}
+
+async function askAnswerEngine(provider, prompt, brands, customer) {
+    try {
+        const response = await provider.complete({
+            system: GEO_VISIBILITY_SYSTEM_PROMPT,
+            prompt: prompt,
+            context: { brands: brands }
+        });
+        const usage = { ...response.usage, costUsd: calculateLLMCost(provider, response.usage) };
+        await recordLLMUsage(customer, provider, usage);
+        return { answer: response.text, usage: usage };
+    } catch (error) {
+        return { error: error.response?.data?.error?.message || error.code || error.message };
+    }
+}
+
+async function checkAIVisibility(request, customer, job) {
+    const { url, topic, brand, competitors, prompts, providers } = request;
+    const brands = [brand, ...competitors];
+    const queries = prompts.flatMap(prompt => providers.map(provider => ({ prompt, provider })));
+    
+    updateJobStage(job, 'answers', 'running');
+    const responses = await runWithConcurrency(queries, GEO_VISIBILITY_CONCURRENCY,
+        query => askAnswerEngine(query.provider, query.prompt, brands, customer));
+    updateJobStage(job, 'answers', 'completed');
+    
+    const answers = queries.map((query, i) => {
+        const response = responses[i];
+        const base = { prompt: query.prompt, provider: query.provider.name, model: query.provider.model };
+        if (response.error) return { ...base, error: response.error };
+        
+        const mentions = brands.map(candidate => ({ brand: candidate, ...findBrandMention(response.answer, candidate) }));
+        const ranked = mentions.filter(mention => mention.mentioned).sort((a, b) => a.position - b.position);
+        const own = mentions[0];
+        const excerptStart = own.mentioned ? Math.max(0, own.position - GEO_VISIBILITY_EXCERPT_LENGTH / 2) : 0;
+        
+        return {
+            ...base,
+            mentioned: own.mentioned,
+            cited: own.cited,
+            // 1 when the brand is the first one the answer names
+            rank: own.mentioned ? ranked.indexOf(own) + 1 : null,
+            competitorsMentioned: mentions.slice(1).filter(mention => mention.mentioned).map(mention => mention.brand.name),
+            mentionedBrands: ranked.map(mention => mention.brand.name),
+            excerpt: response.answer.substring(excerptStart, excerptStart + GEO_VISIBILITY_EXCERPT_LENGTH).trim()
+        };
+    });
+    
+    updateJobStage(job, 'geo', 'running');
+    let geoScore = null;
+    try {
+        const geo = await analyzeGEOOptimization(url, topic);
+        if (geo.error) throw new Error(geo.error);
+        geoScore = geo.geoScore;
+        updateJobStage(job, 'geo', 'completed');
+    } catch (error) {
+        console.log('GEO score for visibility check failed:', error.message);
+        updateJobStage(job, 'geo', 'failed');
+    }
+    
+    const answered = answers.filter(answer => !answer.error);
+    const rate = (items, test) => items.length > 0 ? Math.round(items.filter(test).length / items.length * 100) : null;
+    const ranks = answered.filter(answer => answer.rank !== null).map(answer => answer.rank);
+    
+    const mentionCounts = brands.map(candidate => ({
+        name: candidate.name,
+        domain: candidate.domain,
+        isCustomer: candidate === brand,
+        mentions: answered.filter(answer => answer.mentionedBrands.includes(candidate.name)).length
+    }));
+    const totalMentions = mentionCounts.reduce((sum, entry) => sum + entry.mentions, 0);
+    
+    const usage = responses.filter(response => response.usage).reduce((totals, response) => ({
+        inputTokens: totals.inputTokens + response.usage.inputTokens,
+        outputTokens: totals.outputTokens + response.usage.outputTokens,
+        costUsd: Math.round((totals.costUsd + response.usage.costUsd) * 1000000) / 1000000
+    }), { inputTokens: 0, outputTokens: 0, costUsd: 0 });
+    
+    const missedPrompts = prompts.filter(prompt => {
+        const forPrompt = answered.filter(answer => answer.prompt === prompt);
+        return forPrompt.length > 0 && !forPrompt.some(answer => answer.mentioned);
+    });
+    
+    return {
+        url: url,
+        brand: brand,
+        competitors: competitors,
+        topic: topic,
+        timestamp: new Date(),
+        geoScore: geoScore,
+        summary: {
+            queries: answers.length,
+            answered: answered.length,
+            failed: answers.length - answered.length,
+            mentionRate: rate(answered, answer => answer.mentioned),
+            citationRate: rate(answered, answer => answer.cited),
+            averageRank: ranks.length > 0 ? Math.round(ranks.reduce((sum, value) => sum + value, 0) / ranks.length * 10) / 10 : null,
+            shareOfVoice: totalMentions > 0 ? Math.round(mentionCounts[0].mentions / totalMentions * 100) : null
+        },
+        shareOfVoice: mentionCounts
+            .map(entry => ({ ...entry, share: totalMentions > 0 ? Math.round(entry.mentions / totalMentions * 100) : 0 }))
+            .sort((a, b) => b.mentions - a.mentions),
+        providers: providers.map(provider => {
+            const own = answers.filter(answer => answer.provider === provider.name);
+            const ok = own.filter(answer => !answer.error);
+            return {
+                provider: provider.name,
+                model: provider.model,
+                queries: own.length,
+                answered: ok.length,
+                mentionRate: rate(ok, answer => answer.mentioned),
+                citationRate: rate(ok, answer => answer.cited)
+            };
+        }),
+        answers: answers,
+        issues: [
+            ...missedPrompts.map(prompt => `${brand.name} is not mentioned by any AI assistant for "${prompt}"`),
+            ...Array.from(new Set(answers.filter(answer => answer.error).map(answer => `${answer.provider} could not be queried: ${answer.error}`)))
+        ],
+        usage: usage
+    };
+}
+
+// Share of voice per brand for each stored run, oldest first
+function getVisibilityTimeline(analyses, topic) {
+    return analyses
+        .filter(analysis => !topic || (analysis.result.topic || '').toLowerCase() === topic.toLowerCase())
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(analysis => ({
+            analysisId: analysis.id,
+            createdAt: analysis.createdAt,
+            topic: analysis.result.topic,
+            mentionRate: analysis.result.summary.mentionRate,
+            citationRate: analysis.result.summary.citationRate,
+            shareOfVoice: Object.fromEntries(analysis.result.shareOfVoice.map(entry => [entry.name, entry.share]))
+        }));
+}
+
+// The latest run for a page's site, as reported next to its geoScore; null
+// when there is none or the URL doesn't parse
+async function getLatestVisibility(customer, url) {
+    let origin;
+    try {
+        origin = new URL(url).origin;
+    } catch (e) {
+        return null;
+    }
+    
+    const [latest] = await storage.listAnalyses({
+        customerEmail: customer.email,
+        url: normalizeAnalysisUrl(`${origin}/`),
+        type: 'geo-visibility',
+        limit: 1
+    });
+    if (!latest) return null;
+    
+    return {
+        analysisId: latest.id,
+        checkedAt: latest.createdAt,
+        topic: latest.result.topic,
+        ...latest.result.summary
+    };
+}
+
+// ROBOTS.TXT
+// Parsing and matching follow RFC 9309 and Google's documented behaviour:
+// groups for the same agent are merged, the longest matching path wins and
+// Allow wins a tie, "*" and "$" are supported in paths, a missing robots.txt
+// allows everything and an unreachable one (5xx, network error) blocks everything.
+const ROBOTS_CRAWLERS = [
+    { name: 'Googlebot', token: 'googlebot', category: 'search' },
+    { name: 'Bingbot', token: 'bingbot', category: 'search' },
+    { name: 'GPTBot', token: 'gptbot', category: 'ai' },
+    { name: 'ClaudeBot', token: 'claudebot', category: 'ai' },
+    { name: 'PerplexityBot', token: 'perplexitybot', category: 'ai' }
+];
+
+const ROBOTS_DIRECTIVES = ['user-agent', 'allow', 'disallow', 'crawl-delay', 'sitemap'];
+const ROBOTS_IGNORED_DIRECTIVES = ['host', 'clean-param', 'noindex', 'request-rate', 'visit-time'];
+const ROBOTS_TYPOS = {
+    'useragent': 'user-agent',
+    'user agent': 'user-agent',
+    'user_agent': 'user-agent',
+    'dissallow': 'disallow',
+    'disalow': 'disallow',
+    'dissalow': 'disallow',
+    'disallows': 'disallow',
+    'alow': 'allow',
+    'allows': 'allow',
+    'crawldelay': 'crawl-delay',
+    'site-map': 'sitemap',
+    'sitemaps': 'sitemap'
+};
+
+async function fetchRobotsTxt(origin) {
+    const url = `${origin}/robots.txt`;
+    
+    try {
+        const response = await fetchPage(url, { timeout: 5000 });
+        return { url: url, status: 'found', httpStatus: response.status, ...parseRobotsTxt(response.html) };
+    } catch (error) {
+        const httpStatus = error.response ? error.response.status : null;
+        const empty = { groups: [], sitemaps: [], errors: [], warnings: [] };
+        
+        if (httpStatus && httpStatus < 500) {
+            return { url: url, status: 'missing', httpStatus: httpStatus, ...empty };
+        }
+        return { url: url, status: 'unreachable', httpStatus: httpStatus, error: error.code || error.message, ...empty };
+    }
+}
+
+function parseRobotsTxt(text) {
+    const groups = [];
+    const sitemaps = [];
+    const errors = [];
+    const warnings = [];
+    let current = null;
+    let lastWasAgent = false;
+    
+    String(text || '').replace(/^﻿/, '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.replace(/#.*$/, '').trim();
+        if (!line) return;
+        
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            errors.push({ line: lineNumber, message: `Missing ":" in "${line}"` });
+            return;
+        }
+        
+        let field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+        
+        if (ROBOTS_TYPOS[field]) {
+            errors.push({ line: lineNumber, message: `Unknown directive "${field}" - did you mean "${ROBOTS_TYPOS[field]}"?` });
+            field = ROBOTS_TYPOS[field];
+        } else if (ROBOTS_IGNORED_DIRECTIVES.includes(field)) {
+            warnings.push({ line: lineNumber, message: `"${field}" is not supported by Google and is ignored` });
+            return;
+        } else if (!ROBOTS_DIRECTIVES.includes(field)) {
+            errors.push({ line: lineNumber, message: `Unknown directive "${field}"` });
+            return;
+        }
+        
+        if (field === 'sitemap') {
+            if (/^https?:\/\//i.test(value)) sitemaps.push(value);
+            else errors.push({ line: lineNumber, message: 'Sitemap must be an absolute URL' });
+            return;
+        }
+        
+        if (field === 'user-agent') {
+            if (!value) {
+                errors.push({ line: lineNumber, message: 'Empty user-agent' });
+                return;
+            }
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null, line: lineNumber };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            return;
+        }
+        
+        lastWasAgent = false;
+        
+        if (!current) {
+            errors.push({ line: lineNumber, message: `"${field}" appears before any user-agent line` });
+            return;
+        }
+        
+        if (field === 'crawl-delay') {
+            const delay = Number(value);
+            if (!value || isNaN(delay) || delay < 0) {
+                errors.push({ line: lineNumber, message: `Invalid crawl-delay "${value}"` });
+            } else {
+                current.crawlDelay = delay;
+            }
+            return;
+        }
+        
+        // An empty Disallow allows everything and adds no rule
+        if (!value) return;
+        
+        if (!value.startsWith('/') && !value.startsWith('*')) {
+            warnings.push({ line: lineNumber, message: `Path "${value}" should start with "/"` });
+        }
+        current.rules.push({ allow: field === 'allow', path: value, line: lineNumber });
+    });
+    
+    findRobotsConflicts(groups).forEach(conflict => warnings.push(conflict));
+    
+    return { groups, sitemaps, errors, warnings };
+}
+
+function findRobotsConflicts(groups) {
+    const conflicts = [];
+    const agentGroups = new Map();
+    
+    groups.forEach(group => {
+        group.agents.forEach(agent => {
+            if (agentGroups.has(agent)) {
+                conflicts.push({
+                    line: group.line,
+                    message: `User-agent "${agent}" has more than one group (line ${agentGroups.get(agent)}); the groups are merged`
+                });
+            } else {
+                agentGroups.set(agent, group.line);
+            }
+        });
+        
+        const seen = new Map();
+        group.rules.forEach(rule => {
+            const other = seen.get(rule.path);
+            if (other && other.allow !== rule.allow) {
+                conflicts.push({
+                    line: rule.line,
+                    message: `Allow and Disallow both match "${rule.path}" (lines ${other.line} and ${rule.line}); Allow wins`
+                });
+            }
+            seen.set(rule.path, rule);
+        });
+    });
+    
+    return conflicts;
+}
+
+// The most specific agent wins: an exact token match, then the longest agent
+// that prefixes the token ("googlebot" for "googlebot-news"), then "*"
+function selectRobotsGroup(robots, token) {
+    const agents = new Set(robots.groups.flatMap(group => group.agents));
+    const agent = agents.has(token) ? token
+        : Array.from(agents).filter(a => a !== '*' && token.startsWith(a)).sort((a, b) => b.length - a.length)[0]
+        || (agents.has('*') ? '*' : null);
+    
+    if (!agent) return null;
+    
+    const matching = robots.groups.filter(group => group.agents.includes(agent));
+    return {
+        agent: agent,
+        rules: matching.flatMap(group => group.rules),
+        crawlDelay: matching.map(group => group.crawlDelay).find(delay => delay !== null) ?? null
+    };
+}
+
+function robotsPatternMatches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const regex = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp('^' + regex + (anchored ? '$' : '')).test(path);
+}
+
+function matchRobotsRule(rules, path) {
+    let best = null;
+    rules.forEach(rule => {
+        if (!robotsPatternMatches(rule.path, path)) return;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    });
+    return best;
+}
+
+function isAllowedByRobots(robots, token, path) {
+    if (!robots) return true;
+    return getRobotsVerdict(robots, token, path).allowed;
+}
+
+function getRobotsVerdict(robots, token, path) {
+    if (robots.status === 'unreachable') {
+        return { allowed: false, group: null, rule: null, crawlDelay: null, reason: 'robots.txt unreachable' };
+    }
+    if (robots.status === 'missing' || path === '/robots.txt') {
+        return { allowed: true, group: null, rule: null, crawlDelay: null, reason: robots.status === 'missing' ? 'No robots.txt' : 'robots.txt is always allowed' };
+    }
+    
+    const group = selectRobotsGroup(robots, token);
+    if (!group) {
+        return { allowed: true, group: null, rule: null, crawlDelay: null, reason: 'No group applies' };
+    }
+    
+    const rule = matchRobotsRule(group.rules, path);
+    return {
+        allowed: rule ? rule.allow : true,
+        group: group.agent,
+        rule: rule ? { directive: rule.allow ? 'Allow' : 'Disallow', path: rule.path, line: rule.line } : null,
+        crawlDelay: group.crawlDelay,
+        reason: rule ? `${rule.allow ? 'Allow' : 'Disallow'}: ${rule.path}` : 'No rule matches'
+    };
+}
+
+function getCrawlerVerdicts(robots, url) {
+    const parsed = new URL(url);
+    const path = parsed.pathname + parsed.search;
+    
+    return ROBOTS_CRAWLERS.map(crawler => ({
+        crawler: crawler.name,
+        category: crawler.category,
+        ...getRobotsVerdict(robots, crawler.token, path)
+    }));
+}
+
+// SITEMAPS
+// Sitemaps are discovered from robots.txt (falling back to the usual paths),
+// sitemap indexes are followed and .gz files inflated. Every file is validated
+// against the sitemap protocol (sitemaps.org); problems are reported per file.
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const SITEMAP_DEFAULT_PATHS = ['/sitemap.xml', '/sitemap_index.xml'];
+const SITEMAP_MAX_FILES = 50;
+const SITEMAP_MAX_URLS_PER_FILE = 50000;
+const SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+const SITEMAP_MAX_URLS_COLLECTED = 50000;
+const SITEMAP_MAX_MESSAGES = 25;
+const SITEMAP_DEFAULT_SAMPLE = 20;
+const SITEMAP_MAX_SAMPLE = 100;
+const SITEMAP_CHANGEFREQ = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+// W3C Datetime: YYYY, YYYY-MM, YYYY-MM-DD or a full timestamp with timezone
+const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+// Crawls and repeated analyses of one site resolve its sitemaps once per origin
+const sitemapCache = new Map();
+
+// The technical audit only needs to know whether a sitemap exists and which
+// URLs it lists, so it reads <loc> values without validating, on a much
+// smaller budget than the full walk
+const SITEMAP_LOOKUP_MAX_FILES = 5;
+const SITEMAP_LOOKUP_MAX_BYTES = 10 * 1024 * 1024;
+const sitemapLookupCache = new Map();
+
+function getSitemaps(origin, robots) {
+    const now = Date.now();
+    const cached = sitemapCache.get(origin);
+    if (cached && cached.expiresAt > now) return cached.promise;
+    
+    sitemapCache.forEach((entry, key) => {
+        if (entry.expiresAt <= now) sitemapCache.delete(key);
+    });
+    
+    const promise = resolveSitemaps(origin, robots);
+    sitemapCache.set(origin, { promise: promise, expiresAt: now + PAGE_CACHE_TTL_MS });
+    return promise;
+}
+
+function getSitemapLocations(origin, robots) {
+    const now = Date.now();
+    const cached = sitemapLookupCache.get(origin);
+    if (cached && cached.expiresAt > now) return cached.promise;
+    
+    sitemapLookupCache.forEach((entry, key) => {
+        if (entry.expiresAt <= now) sitemapLookupCache.delete(key);
+    });
+    
+    const promise = readSitemapLocations(origin, robots);
+    sitemapLookupCache.set(origin, { promise: promise, expiresAt: now + PAGE_CACHE_TTL_MS });
+    return promise;
+}
+
+// Returns the sitemap files read and the sitemapKey of every listed URL
+async function readSitemapLocations(origin, robots) {
+    const declared = robots ? robots.sitemaps : [];
+    const queue = declared.length > 0 ? declared.slice() : SITEMAP_DEFAULT_PATHS.map(path => origin + path);
+    const seen = new Set();
+    const files = [];
+    const locations = new Set();
+    
+    while (queue.length > 0 && seen.size < SITEMAP_LOOKUP_MAX_FILES) {
+        const url = queue.shift();
+        if (seen.has(url)) continue;
+        seen.add(url);
+        
+        let xml;
+        try {
+            const response = await axios.get(url, {
+                timeout: 10000,
+                headers: { 'User-Agent': FETCH_USER_AGENT },
+                responseType: 'arraybuffer',
+                maxContentLength: SITEMAP_LOOKUP_MAX_BYTES,
+                maxRedirects: 5
+            });
+            let body = Buffer.from(response.data);
+            if (body[0] === 0x1f && body[1] === 0x8b) {
+                body = zlib.gunzipSync(body, { maxOutputLength: SITEMAP_LOOKUP_MAX_BYTES });
+            }
+            xml = body.toString('utf8');
+        } catch (error) {
+            continue;
+        }
+        
+        const isIndex = /<(?:[\w-]+:)?sitemapindex[\s>]/i.test(xml);
+        if (!isIndex && !/<(?:[\w-]+:)?urlset[\s>]/i.test(xml)) continue;
+        files.push({ url: url, type: isIndex ? 'sitemapindex' : 'urlset' });
+        
+        for (const match of xml.matchAll(/<(?:[\w-]+:)?loc>\s*(?:<!\[CDATA\[)?([^<\]]+?)(?:\]\]>)?\s*<\/(?:[\w-]+:)?loc>/gi)) {
+            const loc = match[1].replace(/&amp;/g, '&').replace(/&apos;/g, "'").replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+            if (isIndex) {
+                queue.push(loc);
+            } else if (/^https?:\/\//i.test(loc) && locations.size < SITEMAP_MAX_URLS_COLLECTED) {
+                locations.add(sitemapKey(loc));
+            }
+        }
+    }
+    
+    return {
+        found: files.length > 0,
+        files: files,
+        locations: locations,
+        truncated: queue.some(url => !seen.has(url))
+    };
+}
+
+async function resolveSitemaps(origin, robots) {
+    const declared = robots ? robots.sitemaps : [];
+    const queue = declared.length > 0
+        ? declared.map(url => ({ url: url, source: 'robots.txt' }))
+        : SITEMAP_DEFAULT_PATHS.map(path => ({ url: origin + path, source: 'default', optional: true }));
+    
+    const seen = new Set();
+    const files = [];
+    const urls = new Map();
+    
+    while (queue.length > 0 && files.length < SITEMAP_MAX_FILES) {
+        const entry = queue.shift();
+        if (seen.has(entry.url)) continue;
+        seen.add(entry.url);
+        
+        const file = await fetchSitemapFile(entry.url);
+        // Guessed default locations that don't exist aren't worth reporting
+        if (entry.optional && file.status === 'error' && file.httpStatus === 404) continue;
+        
+        file.source = entry.source;
+        files.push(file);
+        
+        if (file.type === 'sitemapindex') {
+            if (entry.source === 'index') {
+                file.errors.push('Sitemap indexes must not list other sitemap indexes');
+                file.errorCount++;
+            }
+            file.entries.forEach(child => queue.push({ url: child.loc, source: 'index' }));
+        } else if (file.type === 'urlset') {
+            file.entries.forEach(item => {
+                if (urls.size < SITEMAP_MAX_URLS_COLLECTED && !urls.has(item.loc)) urls.set(item.loc, item);
+            });
+        }
+    }
+    
+    // Entries aren't needed once collected; drop them to keep results small
+    files.forEach(file => { delete file.entries; });
+    
+    return {
+        found: files.some(file => file.status === 'ok'),
+        files: files,
+        urls: Array.from(urls.values()),
+        totalUrls: urls.size,
+        errorCount: files.reduce((sum, file) => sum + file.errorCount, 0),
+        truncated: queue.length > 0
+    };
+}
+
+async function fetchSitemapFile(url) {
+    const file = { url: url, status: 'ok', httpStatus: null, type: null, compressed: false, urlCount: 0, errors: [], warnings: [], entries: [] };
+    
+    let xml;
+    try {
+        const response = await axios.get(url, {
+            timeout: 10000,
+            headers: { 'User-Agent': FETCH_USER_AGENT },
+            responseType: 'arraybuffer',
+            maxContentLength: SITEMAP_MAX_BYTES,
+            maxRedirects: 5
+        });
+        file.httpStatus = response.status;
+        
+        let body = Buffer.from(response.data);
+        // .gz sitemaps arrive as gzip bytes rather than with Content-Encoding
+        if (body[0] === 0x1f && body[1] === 0x8b) {
+            file.compressed = true;
+            body = zlib.gunzipSync(body, { maxOutputLength: SITEMAP_MAX_BYTES + 1 });
+        }
+        if (body.length > SITEMAP_MAX_BYTES) {
+            file.errors.push('Uncompressed sitemap exceeds 50MB');
+        }
+        xml = body.toString('utf8');
+    } catch (error) {
+        file.status = 'error';
+        file.httpStatus = error.response ? error.response.status : null;
+        file.errors.push(error.response ? `HTTP ${error.response.status}` : `Could not fetch sitemap: ${error.code || error.message}`);
+        file.errorCount = file.errors.length;
+        return file;
+    }
+    
+    parseSitemapXml(xml, url, file);
+    
+    file.errorCount = file.errors.length;
+    if (file.errors.length > SITEMAP_MAX_MESSAGES) {
+        file.errors = file.errors.slice(0, SITEMAP_MAX_MESSAGES).concat(`...and ${file.errors.length - SITEMAP_MAX_MESSAGES} more`);
+    }
+    if (file.warnings.length > SITEMAP_MAX_MESSAGES) {
+        file.warnings = file.warnings.slice(0, SITEMAP_MAX_MESSAGES).concat(`...and ${file.warnings.length - SITEMAP_MAX_MESSAGES} more`);
+    }
+    
+    return file;
+}
+
+function parseSitemapXml(xml, sitemapUrl, file) {
+    const $ = cheerio.load(xml, { xml: true });
+    const root = $.root().children().first();
+    const rootName = (root.get(0)?.tagName || '').replace(/^.*:/, '').toLowerCase();
+    
+    if (rootName !== 'urlset' && rootName !== 'sitemapindex') {
+        file.status = 'error';
+        file.errors.push(rootName ? `Unexpected root element <${rootName}>` : 'Not an XML sitemap');
+        return;
+    }
+    
+    file.type = rootName;
+    if (root.attr('xmlns') !== SITEMAP_NAMESPACE) {
+        file.warnings.push(`Root element should declare xmlns="${SITEMAP_NAMESPACE}"`);
+    }
+    
+    const sitemapHost = new URL(sitemapUrl).hostname;
+    const childName = rootName === 'urlset' ? 'url' : 'sitemap';
+    const children = root.children().filter((i, el) => el.tagName.replace(/^.*:/, '').toLowerCase() === childName);
+    const seen = new Set();
+    const now = Date.now();
+    
+    children.each((i, el) => {
+        const field = name => {
+            const value = $(el).children().filter((j, child) => child.tagName.replace(/^.*:/, '').toLowerCase() === name).first().text().trim();
+            return value || null;
+        };
+        const position = `${childName} #${i + 1}`;
+        const loc = field('loc');
+        
+        if (!loc) {
+            file.errors.push(`${position} has no <loc>`);
+            return;
+        }
+        
+        let parsed;
+        try {
+            parsed = new URL(loc);
+        } catch (e) {
+            file.errors.push(`${position}: <loc> is not an absolute URL (${loc})`);
+            return;
+        }
+        if (loc.length > 2048) file.errors.push(`${position}: <loc> is longer than 2048 characters`);
+        if (parsed.hostname !== sitemapHost) file.warnings.push(`${position}: ${loc} is on a different host than the sitemap`);
+        if (seen.has(loc)) file.warnings.push(`${position}: duplicate entry ${loc}`);
+        seen.add(loc);
+        
+        const entry = { loc: loc };
+        
+        const lastmod = field('lastmod');
+        if (lastmod) {
+            if (!W3C_DATETIME.test(lastmod) || isNaN(Date.parse(lastmod))) {
+                file.errors.push(`${position}: invalid <lastmod> "${lastmod}" (use W3C Datetime, e.g. 2024-05-01)`);
+            } else {
+                entry.lastmod = lastmod;
+                if (Date.parse(lastmod) > now + 24 * 60 * 60 * 1000) file.warnings.push(`${position}: <lastmod> is in the future`);
+            }
+        }
+        
+        if (childName === 'url') {
+            const changefreq = field('changefreq');
+            if (changefreq && !SITEMAP_CHANGEFREQ.includes(changefreq.toLowerCase())) {
+                file.errors.push(`${position}: invalid <changefreq> "${changefreq}"`);
+            }
+            const priority = field('priority');
+            if (priority && !(/^(0(\.\d+)?|1(\.0+)?)$/.test(priority))) {
+                file.errors.push(`${position}: <priority> must be between 0.0 and 1.0`);
+            }
+        }
+        
+        file.entries.push(entry);
+    });
+    
+    file.urlCount = children.length;
+    if (file.urlCount > SITEMAP_MAX_URLS_PER_FILE) {
+        file.errors.push(`Sitemap lists ${file.urlCount} entries; the limit is ${SITEMAP_MAX_URLS_PER_FILE}`);
+    }
+    if (file.urlCount === 0) {
+        file.warnings.push('Sitemap has no entries');
+    }
+}
+
+// Trailing slashes and fragments are ignored when matching pages to sitemap entries
+function sitemapKey(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href.replace(/\/$/, '');
+    } catch (e) {
+        return url;
+    }
+}
+
+// Evenly spaced across the sitemap, so large sitemaps are sampled end to end
+function sampleSitemapUrls(urls, size) {
+    if (urls.length <= size) return urls.slice();
+    const step = urls.length / size;
+    return Array.from({ length: size }, (_, i) => urls[Math.floor(i * step)]);
+}
+
+// Listed URLs should answer 200 directly, be indexable and be their own canonical
+async function checkSitemapEntry(url) {
+    const result = { url: url, status: null, problems: [] };
+    
+    try {
+        await waitForHostSlot(new URL(url).hostname);
+        const response = await axios.get(url, {
+            timeout: 10000,
+            headers: { 'User-Agent': FETCH_USER_AGENT },
+            maxRedirects: 0,
+            responseType: 'text',
+            validateStatus: () => true
+        });
+        result.status = response.status;
+        
+        if (response.status >= 300 && response.status < 400) {
+            result.problems.push({ type: 'redirect', detail: `Redirects to ${response.headers.location || 'an unknown location'}` });
+            return result;
+        }
+        if (response.status !== 200) {
+            result.problems.push({ type: 'status', detail: `HTTP ${response.status}` });
+            return result;
+        }
+        
+        const $ = cheerio.load(typeof response.data === 'string' ? response.data : '');
+        const metaRobots = $('meta[name="robots" i]').attr('content') || '';
+        if (/noindex/i.test(metaRobots) || /noindex/i.test(String(response.headers['x-robots-tag'] || ''))) {
+            result.problems.push({ type: 'noindex', detail: 'Page is marked noindex' });
+        }
+        
+        const canonical = $('link[rel="canonical" i]').attr('href');
+        const canonicalUrl = canonical ? toAbsoluteUrl(canonical, url) : null;
+        if (canonicalUrl && sitemapKey(canonicalUrl) !== sitemapKey(url)) {
+            result.problems.push({ type: 'non-canonical', detail: `Canonical points to ${canonicalUrl}` });
+        }
+    } catch (error) {
+        result.problems.push({ type: 'unreachable', detail: error.code || error.message });
+    }
+    
+    return result;
+}
+
+// Internal links the crawlers may follow that the sitemap doesn't list
+function findLinksMissingFromSitemap(links, sitemap, robots) {
+    const listed = new Set(sitemap.urls.map(entry => sitemapKey(entry.loc)));
+    const robotsToken = CRAWLER_USER_AGENT.split('/')[0].toLowerCase();
+    const missing = new Set();
+    
+    links.forEach(link => {
+        if (!link.isInternal) return;
+        const normalized = normalizeCrawlUrl(link.url, new URL(link.url));
+        if (!normalized) return;
+        
+        const parsed = new URL(normalized);
+        if (robots && !isAllowedByRobots(robots, robotsToken, parsed.pathname + parsed.search)) return;
+        if (!listed.has(sitemapKey(normalized))) missing.add(normalized);
+    });
+    
+    return Array.from(missing);
+}
+
+async function analyzeSitemaps(url, options = {}) {
+    const origin = new URL(url).origin;
+    const sampleSize = clampNumber(options.sampleSize, 0, SITEMAP_MAX_SAMPLE, SITEMAP_DEFAULT_SAMPLE);
+    
+    const robots = await fetchRobotsTxt(origin);
+    const sitemap = await getSitemaps(origin, robots);
+    
+    const sample = sampleSitemapUrls(sitemap.urls.map(entry => entry.loc), sampleSize);
+    const checked = await runWithConcurrency(sample, 4, checkSitemapEntry);
+    const problems = checked.filter(entry => entry.problems.length > 0);
+    
+    let missingFromSitemap = [];
+    try {
+        const page = await fetchPage(url);
+        missingFromSitemap = findLinksMissingFromSitemap(extractLinks(getDocument(page), url), sitemap, robots);
+    } catch (error) {
+        console.log('Sitemap link cross-check skipped:', error.message);
+    }
+    
+    const countProblems = type => problems.filter(entry => entry.problems.some(problem => problem.type === type)).length;
+    
+    return {
+        url: url,
+        timestamp: new Date(),
+        found: sitemap.found,
+        declaredInRobots: robots.sitemaps,
+        files: sitemap.files,
+        totalUrls: sitemap.totalUrls,
+        truncated: sitemap.truncated,
+        errorCount: sitemap.errorCount,
+        sample: {
+            checked: checked.length,
+            withProblems: problems.length,
+            redirects: countProblems('redirect'),
+            errors: countProblems('status') + countProblems('unreachable'),
+            noindex: countProblems('noindex'),
+            nonCanonical: countProblems('non-canonical'),
+            entries: problems
+        },
+        missingFromSitemap: missingFromSitemap.slice(0, 100),
+        missingFromSitemapCount: missingFromSitemap.length
+    };
+}
+
+// SITE CRAWLER
+async function crawlSite(seedUrl, options, job) {
+    const seed = new URL(seedUrl);
+    const { maxDepth, maxPages } = options;
+    
+    const robots = await fetchRobotsTxt(seed.origin);
+    const robotsToken = CRAWLER_USER_AGENT.split('/')[0].toLowerCase();
+    const sitemap = await getSitemaps(seed.origin, robots);
+    const crawlDelay = getRobotsVerdict(robots, robotsToken, '/').crawlDelay;
+    const delayMs = Math.min(CRAWL_MAX_DELAY_MS, (crawlDelay || 0) * 1000);
+    
+    const seen = new Set();
+    const queue = [];
+    const skipped = { robots: 0, limit: 0 };
+    
+    const enqueue = (pageUrl, depth) => {
+        const normalized = normalizeCrawlUrl(pageUrl, seed);
+        if (!normalized || seen.has(normalized)) return;
+        seen.add(normalized);
+        
+        const parsed = new URL(normalized);
+        if (!isAllowedByRobots(robots, robotsToken, parsed.pathname + parsed.search)) {
+            skipped.robots++;
+            return;
+        }
+        
+        queue.push({ url: normalized, depth: depth });
+    };
+    
+    enqueue(seed.href, 0);
+    // Sitemap entries count as one link from the seed
+    if (maxDepth >= 1) sitemap.urls.forEach(entry => enqueue(entry.loc, 1));
+    
+    const pages = [];
+    let lastRequestAt = 0;
+    
+    while (queue.length > 0 && pages.length < maxPages) {
+        const wait = lastRequestAt + delayMs - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        checkJobCancelled(job);
+        
+        const { url, depth } = queue.shift();
+        lastRequestAt = Date.now();
+        const page = await crawlPage(url, depth, options);
+        pages.push(page);
+        
+        if (page.links && depth < maxDepth) {
+            page.links.forEach(link => enqueue(link, depth + 1));
+        }
+        delete page.links;
+        
+        if (job) {
+            job.progress = {
+                percent: Math.round((pages.length / maxPages) * 100),
+                pagesCrawled: pages.length,
+                pagesQueued: queue.length
+            };
+        }
+    }
+    
+    skipped.limit = queue.length;
+    
+    // Crawled pages the sitemap doesn't list, and listed pages that don't answer 200
+    const listed = new Set(sitemap.urls.map(entry => sitemapKey(entry.loc)));
+    const missingFromSitemap = sitemap.found
+        ? pages.filter(p => typeof p.technicalScore === 'number' && !listed.has(sitemapKey(p.url))).map(p => p.url)
+        : [];
+    const listedWithErrors = pages
+        .filter(p => listed.has(sitemapKey(p.url)) && p.status !== 200)
+        .map(p => ({ url: p.url, status: p.status }));
+    
+    return {
+        seedUrl: seed.href,
+        options: options,
+        sitemapUrlsFound: sitemap.totalUrls,
+        sitemapErrors: sitemap.errorCount,
+        pagesMissingFromSitemap: missingFromSitemap,
+        sitemapUrlsWithErrors: listedWithErrors,
+        robotsTxtFound: robots.status === 'found',
+        robotsTxtStatus: robots.status,
+        crawlDelaySeconds: crawlDelay,
+        pagesSkipped: skipped,
+        summary: summarizeCrawl(pages),
+        pages: pages
+    };
+}
+
+async function crawlPage(url, depth, options) {
+    const page = { url: url, depth: depth };
+    
+    let fetched;
+    
+    try {
+        fetched = await fetchPage(url);
+        page.status = fetched.status;
+        
+        if (!/text\/html/i.test(fetched.headers['content-type'] || '')) {
+            page.error = 'Not an HTML page';
+            return page;
+        }
+        
+        page.links = extractLinks(getDocument(fetched), url)
+            .filter(link => link.isInternal)
+            .map(link => link.url);
+        
+    } catch (error) {
+        page.status = error.response ? error.response.status : 0;
+        page.error = error.code || error.message;
+        return page;
+    }
+    
+    const technical = await analyzeRealTechnicalSEO(url, fetched, { performance: options.measurePerformance });
+    const geo = await analyzeGEOOptimization(url, null, fetched);
+    
+    page.technicalScore = technical.overallScore;
+    page.technicalScores = technical.scores;
+    page.geoScore = geo.geoScore;
+    page.issues = technical.issues;
+    
+    return page;
+}
+
+function summarizeCrawl(pages) {
+    const analyzed = pages.filter(p => typeof p.technicalScore === 'number');
+    const average = values => values.length > 0
+        ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+        : 0;
+    
+    // Count how many pages share each issue
+    const issueCounts = {};
+    analyzed.forEach(page => {
+        page.issues.forEach(issue => {
+            issueCounts[issue] = (issueCounts[issue] || 0) + 1;
+        });
+    });
+    
+    const commonIssues = Object.entries(issueCounts)
+        .sort(([,a], [,b]) => b - a)
+        .slice(0, 10)
+        .map(([issue, count]) => ({ issue: issue, pages: count }));
+    
+    const weakestPages = analyzed
+        .slice()
+        .sort((a, b) => (a.technicalScore + a.geoScore) - (b.technicalScore + b.geoScore))
+        .slice(0, 5)
+        .map(p => ({ url: p.url, technicalScore: p.technicalScore, geoScore: p.geoScore }));
+    
+    return {
+        pagesCrawled: pages.length,
+        pagesAnalyzed: analyzed.length,
+        pagesFailed: pages.length - analyzed.length,
+        averageTechnicalScore: average(analyzed.map(p => p.technicalScore)),
+        averageGeoScore: average(analyzed.map(p => p.geoScore)),
+        commonIssues: commonIssues,
+        weakestPages: weakestPages
+    };
+}
+
+function normalizeCrawlUrl(pageUrl, seed) {
+    try {
+        const parsed = new URL(pageUrl, seed);
+        if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+        if (parsed.hostname !== seed.hostname) return null;
+        
+        // Skip obvious non-HTML resources
+        if (/\.(pdf|jpe?g|png|gif|svg|webp|zip|mp4|mp3|css|js|xml|txt)$/i.test(parsed.pathname)) return null;
+        
+        parsed.hash = '';
+        return parsed.href;
+    } catch (e) {
+        return null;
+    }
+}
+
+function clampNumber(value, min, max, fallback) {
+    const number = parseInt(value, 10);
+    if (isNaN(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+}
+
+// GHL WEBHOOK PROCESSING
+// GHL signs the raw body with HMAC-SHA256 using the shared secret. Without a
+// secret every delivery is rejected, unless GHL_ALLOW_UNSIGNED=1 opts in for local testing.
+function verifyGHLSignature(req) {
+    if (!GHL_WEBHOOK_SECRET) {
+        if (GHL_ALLOW_UNSIGNED) {
+            console.log('⚠️ GHL_WEBHOOK_SECRET not set, accepting unsigned webhook (GHL_ALLOW_UNSIGNED=1)');
+            return true;
+        }
+        console.error('GHL_WEBHOOK_SECRET is not configured; rejecting webhook');
+        return false;
+    }
+    
+    const signature = String(req.headers['x-ghl-signature'] || '').replace(/^sha256=/, '');
+    const expected = crypto.createHmac('sha256', GHL_WEBHOOK_SECRET)
+        .update(req.rawBody || '')
+        .digest('hex');
+    
+    return signature.length > 0 && safeEqual(signature, expected);
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Payloads without an event ID fall back to a hash of the body
+function getGHLEventId(req) {
+    const id = req.headers['x-ghl-event-id'] || req.body.eventId || req.body.event_id || req.body.id;
+    if (id) return String(id);
+    
+    return 'body-' + crypto.createHash('sha256').update(req.rawBody || JSON.stringify(req.body)).digest('hex');
+}
+
+function getGHLEventType(payload) {
+    const type = String(payload.type || payload.event || payload.eventType || '').toLowerCase();
+    
+    if (type.includes('refund')) return 'refund';
+    if (type.includes('cancel')) return 'cancellation';
+    return 'purchase';
+}
+
+// Applies a stored event and records the outcome on it; used for live
+// deliveries and admin replays alike
+async function processWebhookEvent(event) {
+    try {
+        const { contact, payment } = event.payload;
+        const email = contact.email.toLowerCase();
+        
+        const result = event.type === 'purchase'
+            ? await registerCustomer(email, contact, payment)
+            : await revokeCustomer(email, event.type);
+        
+        event.status = 'processed';
+        event.processedAt = new Date();
+        event.result = result;
+        event.error = null;
+        await storage.saveWebhookEvent(event);
+        
+        return result;
+    } catch (error) {
+        event.status = 'failed';
+        event.error = error.message;
+        await storage.saveWebhookEvent(event);
+        throw error;
+    }
+}
+
+async function registerCustomer(email, contact, payment) {
+    const existing = await storage.getCustomer(email);
+    
+    // Repeat purchases update the account rather than creating another one
+    if (existing && existing.status === 'active') {
+        existing.paymentAmount = payment?.amount || existing.paymentAmount;
+        await storage.saveCustomer(existing);
+        console.log(`Existing customer purchase recorded: ${email}`);
+        return { action: 'updated', email: email, status: existing.status };
+    }
+    
+    const activeCount = await storage.countCustomers('active');
+    const status = activeCount < MAX_CUSTOMERS ? 'active' : 'waitlisted';
+    
+    const accessCode = generateAccessCode();
+    
+    const customerData = {
+        email: email,
+        name: (contact.firstName || '') + ' ' + (contact.lastName || ''),
+        accessCode: accessCode,
+        joinDate: existing ? existing.joinDate : new Date(),
+        paymentAmount: payment?.amount || 97,
+        lastLogin: existing ? existing.lastLogin : null,
+        status: status,
+        revokedAt: null
+    };
+    customerData.name = customerData.name.trim();
+    
+    await storage.saveCustomer(customerData);
+    
+    if (status === 'waitlisted') {
+        console.log(`Customer cap reached, waitlisted: ${email}`);
+        await sendEmail('waitlisted', email, { name: customerData.name });
+        return { action: 'waitlisted', email: email, status: status };
+    }
+    
+    console.log(`New customer registration: ${email}`);
+    await sendEmail('welcome', email, { name: customerData.name, accessCode: accessCode });
+    
+    return { action: existing ? 'reactivated' : 'registered', email: email, status: status };
+}
+
+async function revokeCustomer(email, reason) {
+    const customer = await storage.getCustomer(email);
+    
+    if (!customer) {
+        return { action: 'ignored', email: email, reason: 'Unknown customer' };
+    }
+    
+    if (customer.status === 'revoked') {
+        return { action: 'ignored', email: email, reason: 'Already revoked' };
+    }
+    
+    const wasActive = customer.status === 'active';
+    
+    customer.status = 'revoked';
+    customer.revokedAt = new Date();
+    await storage.saveCustomer(customer);
+    await storage.deleteCustomerSessions(email);
+    console.log(`Access revoked for ${email} (${reason})`);
+    
+    if (wasActive) {
+        await promoteWaitlist();
+    }
+    
+    return { action: 'revoked', email: email, reason: reason };
+}
+
+// Fills freed spots with the longest-waiting customers
+async function promoteWaitlist() {
+    const openSpots = MAX_CUSTOMERS - await storage.countCustomers('active');
+    if (openSpots <= 0) return;
+    
+    const waitlisted = await storage.listCustomers({ status: 'waitlisted', limit: openSpots });
+    
+    for (const customer of waitlisted) {
+        customer.status = 'active';
+        await storage.saveCustomer(customer);
+        
+        console.log(`Promoted from waitlist: ${customer.email}`);
+        await sendEmail('welcome', customer.email, { name: customer.name, accessCode: customer.accessCode });
+    }
+}
+
+function generateAccessCode() {
+    return crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+// NOTIFICATIONS
+// Templates use {{placeholders}}; values are HTML-escaped in the html body.
+// appUrl and email are always available.
+const EMAIL_TEMPLATES = {
+    'welcome': {
+        subject: 'Your Molaison AI access code',
+        text: 'Hi {{name}},\n\nWelcome to Molaison AI! Your access code is: {{accessCode}}\n\n' +
+              'Log in at {{appUrl}} with {{email}} and this code.\n\nThe Molaison AI team',
+        html: '<p>Hi {{name}},</p><p>Welcome to Molaison AI! Your access code is:</p>' +
+              '<p style="font-size:24px;font-weight:bold;letter-spacing:2px">{{accessCode}}</p>' +
+              '<p>Log in at <a href="{{appUrl}}">{{appUrl}}</a> with {{email}} and this code.</p>' +
+              '<p>The Molaison AI team</p>'
+    },
+    'waitlisted': {
+        subject: "You're on the Molaison AI waitlist",
+        text: 'Hi {{name}},\n\nThanks for your purchase! All spots are currently taken, so you are on the waitlist. ' +
+              'We will email your access code as soon as a spot opens.\n\nThe Molaison AI team',
+        html: '<p>Hi {{name}},</p><p>Thanks for your purchase! All spots are currently taken, so you are on the waitlist.</p>' +
+              '<p>We will email your access code as soon as a spot opens.</p><p>The Molaison AI team</p>'
+    },
+    'access-code-reset': {
+        subject: 'Your new Molaison AI access code',
+        text: 'Hi {{name}},\n\nA new access code was requested for {{email}}: {{accessCode}}\n\n' +
+              'Your previous code no longer works. If you did not request this, you can ignore this email.\n\nThe Molaison AI team',
+        html: '<p>Hi {{name}},</p><p>A new access code was requested for {{email}}:</p>' +
+              '<p style="font-size:24px;font-weight:bold;letter-spacing:2px">{{accessCode}}</p>' +
+              '<p>Your previous code no longer works. If you did not request this, you can ignore this email.</p>' +
+              '<p>The Molaison AI team</p>'
+    },
+    'audit-alert': {
+        subject: 'Audit alert: {{url}}',
+        text: 'Hi {{name}},\n\nYour scheduled audit of {{url}} found:\n\n{{alertsText}}\n\n' +
+              'Overall score: {{overallScore}} (previously {{previousScore}})\n\nThe Molaison AI team',
+        html: '<p>Hi {{name}},</p><p>Your scheduled audit of <a href="{{url}}">{{url}}</a> found:</p>' +
+              '<p style="white-space:pre-line">{{alertsText}}</p>' +
+              '<p>Overall score: <strong>{{overallScore}}</strong> (previously {{previousScore}})</p>' +
+              '<p>The Molaison AI team</p>'
+    },
+    'quota-warning': {
+        subject: "You've used {{percent}}% of your {{period}} analysis quota",
+        text: 'Hi {{name}},\n\nYou have used {{used}} of {{limit}} {{period}} analyses on the {{plan}} plan. ' +
+              'Your quota resets on {{resetsAt}}.\n\nThe Molaison AI team',
+        html: '<p>Hi {{name}},</p><p>You have used <strong>{{used}} of {{limit}}</strong> {{period}} analyses on the {{plan}} plan.</p>' +
+              '<p>Your quota resets on {{resetsAt}}.</p><p>The Molaison AI team</p>'
+    }
+};
+
+function renderTemplate(template, values, escape) {
+    return template.replace(/{{(\w+)}}/g, (match, key) => {
+        const value = values[key] === undefined || values[key] === null ? '' : String(values[key]);
+        return escape ? escapeHtml(value) : value;
+    });
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Delivery failures are logged, never thrown: a lost email must not undo a
+// registration or fail an analysis
+async function sendEmail(templateName, to, values = {}) {
+    const template = EMAIL_TEMPLATES[templateName];
+    if (!template) {
+        throw new Error(`Unknown email template: ${templateName}`);
+    }
+    
+    const context = { appUrl: APP_URL, email: to, ...values };
+    if (!context.name) context.name = 'there';
+    
+    const message = {
+        template: templateName,
+        from: EMAIL_FROM,
+        to: to,
+        subject: renderTemplate(template.subject, context, false),
+        text: renderTemplate(template.text, context, false),
+        html: renderTemplate(template.html, context, true)
+    };
+    
+    try {
+        await mailer.send(message);
+        console.log(`📧 Sent "${templateName}" email to ${to} via ${mailer.name}`);
+        return true;
+    } catch (error) {
+        console.error(`Failed to send "${templateName}" email to ${to}:`, error.message);
+        return false;
+    }
+}
+
+// Emails once per period, when a request pushes usage across the threshold
+function notifyQuotaWarnings(customer, usage, cost) {
+    [usage.daily, usage.monthly].forEach(period => {
+        const threshold = period.limit * QUOTA_WARNING_THRESHOLD;
+        if (period.used < threshold && period.used + cost >= threshold) {
+            sendEmail('quota-warning', customer.email, {
+                name: customer.name,
+                plan: usage.plan,
+                period: period.period,
+                used: period.used + cost,
+                limit: period.limit,
+                percent: Math.round(((period.used + cost) / period.limit) * 100),
+                resetsAt: period.resetsAt.toUTCString()
+            });
+        }
+    });
+}
+
+// Mail transports share one interface: { name, send(message) }
+function createMailTransport(name) {
+    if (name === 'outbox') {
+        return createOutboxTransport(OUTBOX_DIR);
+    }
+    if (name === 'smtp') {
+        return createSMTPTransport();
+    }
+    if (name === 'ghl') {
+        return createGHLTransport();
+    }
+    throw new Error(`Unknown email transport: ${name}`);
+}
+
+function createOutboxTransport(directory) {
+    return {
+        name: 'outbox',
+        
+        async send(message) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            const fileName = `${Date.now()}-${message.template}-${crypto.randomBytes(3).toString('hex')}.json`;
+            await fs.promises.writeFile(
+                path.join(directory, fileName),
+                JSON.stringify({ ...message, createdAt: new Date() }, null, 2)
+            );
+        }
+    };
+}
+
+function createSMTPTransport() {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    
+    return {
+        name: 'smtp',
+        
+        async send(message) {
+            await transporter.sendMail({
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                text: message.text,
+                html: message.html
+            });
+        }
+    };
+}
+
+// Sends through GoHighLevel conversations, upserting the contact by email first
+function createGHLTransport() {
+    const api = axios.create({
+        baseURL: 'https://services.leadconnectorhq.com',
+        timeout: 15000,
+        headers: {
+            'Authorization': `Bearer ${GHL_API_KEY}`,
+            'Content-Type': 'application/json',
+            'Version': '2021-07-28'
+        }
+    });
+    
+    return {
+        name: 'ghl',
+        
+        async send(message) {
+            if (!GHL_API_KEY || !GHL_LOCATION_ID) {
+                throw new Error('GHL_API_KEY and GHL_LOCATION_ID are required for the ghl email transport');
+            }
+            
+            const contactResponse = await api.post('/contacts/upsert', {
+                locationId: GHL_LOCATION_ID,
+                email: message.to
+            });
+            
+            await api.post('/conversations/messages', {
+                type: 'Email',
+                contactId: contactResponse.data.contact.id,
+                emailFrom: message.from,
+                subject: message.subject,
+                html: message.html,
+                message: message.text
+            }, {
+                headers: { 'Version': '2021-04-15' }
+            });
+        }
+    };
+}
+
+// Sliding-window limiter kept in memory; hit() records an attempt
+function createRateLimiter(windowMs, max) {
+    const hits = new Map();
+    
+    return {
+        hit(key) {
+            const now = Date.now();
+            const recent = (hits.get(key) || []).filter(time => now - time < windowMs);
+            
+            if (recent.length >= max) {
+                hits.set(key, recent);
+                return { allowed: false, retryAfterMs: windowMs - (now - recent[0]) };
+            }
+            
+            recent.push(now);
+            hits.set(key, recent);
+            
+            // Forget idle keys so the map cannot grow without bound
+            if (hits.size > 10000) {
+                hits.forEach((times, k) => {
+                    if (times.every(time => now - time >= windowMs)) hits.delete(k);
+                });
+            }
+            
+            return { allowed: true };
+        }
+    };
+}
+
+// SESSIONS
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createCustomerSession(customer, req) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    
+    const session = {
+        id: crypto.randomBytes(8).toString('hex'),
+        tokenHash: hashToken(token),
+        customerEmail: customer.email,
+        createdAt: now,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_IDLE_TTL_MS),
+        userAgent: (req.headers['user-agent'] || '').substring(0, 255),
+        ipAddress: req.ip || null
+    };
+    
+    await storage.createSession(session);
+    
+    // Drop the oldest devices once a customer exceeds the session cap
+    const sessions = await storage.listCustomerSessions(customer.email);
+    for (const stale of sessions.slice(MAX_SESSIONS_PER_CUSTOMER)) {
+        await storage.deleteSession(stale.id);
+    }
+    
+    return { token, session };
+}
+
+// Sliding renewal, throttled so busy clients don't write on every request
+async function renewSession(session) {
+    const now = Date.now();
+    if (now - session.lastSeenAt.getTime() < SESSION_TOUCH_INTERVAL_MS) return;
+    
+    session.lastSeenAt = new Date(now);
+    session.expiresAt = new Date(Math.min(
+        now + SESSION_IDLE_TTL_MS,
+        session.createdAt.getTime() + SESSION_MAX_LIFETIME_MS
+    ));
+    
+    await storage.touchSession(session.id, session.lastSeenAt, session.expiresAt);
+}
+
+async function pruneExpiredSessions() {
+    try {
+        await storage.deleteExpiredSessions(new Date());
+    } catch (error) {
+        console.error('Session cleanup failed:', error.message);
+    }
+}
+
+setInterval(pruneExpiredSessions, 60 * 60 * 1000).unref();
+
+// PLANS AND QUOTAS
+function getCustomerPlan(customer) {
+    const payment = Number(customer.paymentAmount) || 0;
+    return PLANS.find(plan => payment >= plan.minPayment) || PLANS[PLANS.length - 1];
+}
+
+// Quota windows are calendar-based in UTC: midnight for daily, the 1st for monthly
+function getQuotaPeriods(customer, now) {
+    const plan = getCustomerPlan(customer);
+    
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    
+    return {
+        plan: plan.name,
+        periods: [
+            { period: 'daily', limit: plan.dailyLimit, since: dayStart, resetsAt: dayEnd },
+            { period: 'monthly', limit: plan.monthlyLimit, since: monthStart, resetsAt: monthEnd }
+        ]
+    };
+}
+
+// used holds the units consumed in each period, in getQuotaPeriods order
+function buildQuotaUsage(plan, periods, used) {
+    const [daily, monthly] = periods.map((period, i) => ({
+        period: period.period,
+        limit: period.limit,
+        used: used[i],
+        remaining: Math.max(0, period.limit - used[i]),
+        resetsAt: period.resetsAt
+    }));
+    
+    return { plan: plan, daily: daily, monthly: monthly };
+}
+
+async function getQuotaUsage(customer, now = new Date()) {
+    const { plan, periods } = getQuotaPeriods(customer, now);
+    const used = [];
+    for (const period of periods) {
+        used.push(await storage.sumUsage(customer.email, period.since));
+    }
+    return buildQuotaUsage(plan, periods, used);
+}
+
+// The limit check and the usage insert are one storage operation, so
+// concurrent requests can't all pass the check before any of them is recorded.
+// Returns the usage before this charge, and the period that refused it if any.
+async function consumeQuota(customer, route, cost) {
+    const now = new Date();
+    const { plan, periods } = getQuotaPeriods(customer, now);
+    
+    const charge = await storage.chargeUsage(
+        { customerEmail: customer.email, route: route, units: cost, createdAt: now },
+        periods.map(period => ({ since: period.since, limit: period.limit }))
+    );
+    const usage = buildQuotaUsage(plan, periods, charge.used);
+    
+    if (!charge.charged) {
+        return { usage: usage, exceeded: [usage.daily, usage.monthly].find(period => period.used + cost > period.limit) };
+    }
+    
+    notifyQuotaWarnings(customer, usage, cost);
+    return { usage: usage, exceeded: null };
+}
+
+// PRIVATE NETWORK GUARD
+// Requests to customer-supplied URLs (branding logos, monitor webhooks) may
+// only reach public hosts. Blocked: loopback, private, CGNAT, link-local
+// (cloud metadata), multicast and reserved ranges.
+const PRIVATE_NETWORKS = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+    .forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    const ip = mapped ? mapped[1] : address;
+    const family = net.isIP(ip);
+    if (family === 0) return true;
+    return PRIVATE_NETWORKS.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Checked when the connection is made rather than beforehand, so the host
+// can't resolve to a public address for the check and a private one after
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(new Error(`${hostname} resolves to a private network address`));
+        }
+        if (options && options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Node skips the lookup for IP literals, so those are checked here before any request
+async function assertPublicHost(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) {
+        if (isPrivateAddress(hostname)) throw new Error(`${hostname} is a private network address`);
+        return;
+    }
+    await new Promise((resolve, reject) => {
+        publicOnlyLookup(hostname, { all: true }, error => error ? reject(error) : resolve());
+    });
+}
+
+// MONITORS
+async function validateMonitorInput(url, schedule, webhookUrl) {
+    try {
+        new URL(url);
+    } catch (e) {
+        return 'Invalid URL';
+    }
+    
+    // Every gap over a week of runs is checked (a week covers weekday
+    // schedules), so the answer doesn't depend on when the schedule is saved
+    try {
+        let previous = getNextCronRun(schedule, new Date());
+        const cycleEnd = previous.getTime() + 7 * 24 * 60 * 60 * 1000;
+        while (previous.getTime() < cycleEnd) {
+            const next = getNextCronRun(schedule, previous);
+            if (next - previous < MONITOR_MIN_INTERVAL_MS) {
+                return 'Schedules may run at most once per hour';
+            }
+            previous = next;
+        }
+    } catch (error) {
+        return error.message;
+    }
+    
+    if (webhookUrl) {
+        if (!/^https?:\/\//i.test(webhookUrl)) {
+            return 'Webhook URL must be http(s)';
+        }
+        try {
+            await assertPublicHost(webhookUrl);
+        } catch (error) {
+            return `Webhook URL is not allowed: ${error.message}`;
+        }
+    }
+    
+    return null;
+}
+
+function startMonitorScheduler() {
+    setInterval(runDueMonitors, 60 * 1000).unref();
+}
+
+async function runDueMonitors() {
+    try {
+        const due = await storage.listDueMonitors(new Date());
+        
+        for (const monitor of due) {
+            // Advance the schedule before running so a slow audit isn't queued twice
+            monitor.nextRunAt = getNextCronRun(monitor.schedule, new Date());
+            await storage.saveMonitor(monitor);
+            queueMonitorAudit(monitor);
+        }
+    } catch (error) {
+        console.error('Monitor scheduler error:', error.message);
+    }
+}
+
+function queueMonitorAudit(monitor) {
+    return createJob('monitor-audit', { monitorId: monitor.id, url: monitor.url }, MONITOR_STAGES,
+        job => runMonitorAudit(monitor.id, job), { email: monitor.customerEmail });
+}
+
+async function runMonitorAudit(monitorId, job) {
+    const monitor = await storage.getMonitor(monitorId);
+    if (!monitor) throw new Error('Monitor was deleted');
+    
+    const customer = await storage.getCustomer(monitor.customerEmail);
+    if (!customer || customer.status !== 'active') {
+        throw new Error('Customer account is not active');
+    }
+    
+    // Scheduled audits draw on the same quota as manual analyses
+    const charge = await consumeQuota(customer, '/api/monitors', 1);
+    if (charge.exceeded) {
+        monitor.lastError = 'Quota exceeded, audit skipped';
+        await storage.saveMonitor(monitor);
+        throw new Error(monitor.lastError);
+    }
+    
+    const previous = monitor.lastResult;
+    let current;
+    
+    try {
+        const page = await fetchPage(monitor.url, { bypassCache: true });
+        
+        updateJobStage(job, 'technical', 'running');
+        const technical = await analyzeRealTechnicalSEO(monitor.url, page);
+        await recordAnalysis('technical-seo', monitor.url, technical, customer);
+        updateJobStage(job, 'technical', 'completed');
+        
+        updateJobStage(job, 'geo', 'running');
+        const geo = await analyzeGEOOptimization(monitor.url, null, page);
+        await recordAnalysis('geo', monitor.url, geo, customer);
+        updateJobStage(job, 'geo', 'completed');
+        
+        updateJobStage(job, 'links', 'running');
+        const links = await checkBrokenLinks(monitor.url, page);
+        await recordAnalysis('broken-links', monitor.url, links, customer);
+        updateJobStage(job, 'links', 'completed');
+        
+        const robotsHeader = String(page.headers['x-robots-tag'] || '');
+        current = {
+            reachable: true,
+            overallScore: technical.overallScore,
+            geoScore: geo.geoScore,
+            brokenLinks: links.brokenLinks.map(link => link.url),
+            noindex: /noindex/i.test(technical.elements?.metaRobots || '') || /noindex/i.test(robotsHeader)
+        };
+    } catch (error) {
+        if (error instanceof JobCancelledError) throw error;
+        current = { reachable: false, error: error.code || error.message };
+    }
+    
+    const alerts = detectMonitorAlerts(monitor, previous, current);
+    if (alerts.length > 0) {
+        await deliverMonitorAlerts(monitor, customer, alerts, previous, current);
+    }
+    
+    monitor.lastRunAt = new Date();
+    monitor.lastResult = current;
+    monitor.lastError = current.reachable ? null : current.error;
+    await storage.saveMonitor(monitor);
+    
+    return { monitorId: monitor.id, url: monitor.url, result: current, alerts: alerts };
+}
+
+// The first run only establishes a baseline, except for conditions that are
+// bad on their own (noindex, unreachable)
+function detectMonitorAlerts(monitor, previous, current) {
+    const alerts = [];
+    
+    if (!current.reachable) {
+        if (!previous || previous.reachable) {
+            alerts.push({ type: 'unreachable', message: `Page could not be fetched (${current.error})` });
+        }
+        return alerts;
+    }
+    
+    if (current.noindex && !(previous && previous.noindex)) {
+        alerts.push({ type: 'noindex', message: 'Page is now blocked from indexing (noindex)' });
+    }
+    
+    if (!previous || !previous.reachable) return alerts;
+    
+    const drop = previous.overallScore - current.overallScore;
+    if (drop >= monitor.scoreDropThreshold) {
+        alerts.push({
+            type: 'score-drop',
+            message: `Overall score dropped ${drop} points (${previous.overallScore} → ${current.overallScore})`
+        });
+    }
+    
+    const newBrokenLinks = current.brokenLinks.filter(link => !previous.brokenLinks.includes(link));
+    if (newBrokenLinks.length > 0) {
+        alerts.push({
+            type: 'new-broken-links',
+            message: `${newBrokenLinks.length} new broken link(s): ${newBrokenLinks.slice(0, 10).join(', ')}`,
+            links: newBrokenLinks
+        });
+    }
+    
+    return alerts;
+}
+
+async function deliverMonitorAlerts(monitor, customer, alerts, previous, current) {
+    console.log(`Monitor ${monitor.id} raised ${alerts.length} alert(s) for ${monitor.url}`);
+    
+    if (monitor.alertEmail) {
+        await sendEmail('audit-alert', customer.email, {
+            name: customer.name,
+            url: monitor.url,
+            alertsText: alerts.map(alert => '• ' + alert.message).join('\n'),
+            overallScore: current.overallScore ?? 'n/a',
+            previousScore: previous?.overallScore ?? 'n/a'
+        });
+    }
+    
+    if (monitor.webhookUrl) {
+        try {
+            await assertPublicHost(monitor.webhookUrl);
+            await axios.post(monitor.webhookUrl, {
+                event: 'monitor.alert',
+                monitorId: monitor.id,
+                url: monitor.url,
+                alerts: alerts,
+                current: current,
+                previous: previous,
+                timestamp: new Date()
+            }, { timeout: 10000, maxRedirects: 0, lookup: publicOnlyLookup });
+        } catch (error) {
+            console.error(`Monitor ${monitor.id} webhook delivery failed:`, error.message);
+        }
+    }
+}
+
+// CRON SCHEDULES
+// Standard 5-field expressions (minute hour day-of-month month day-of-week)
+// with *, lists, ranges and steps, plus @hourly/@daily/@weekly/@monthly.
+// Evaluated in UTC.
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+function parseCron(expression) {
+    const source = CRON_ALIASES[String(expression).trim().toLowerCase()] || String(expression).trim();
+    const fields = source.split(/\s+/);
+    
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron schedule "${expression}": expected 5 fields`);
+    }
+    
+    const ranges = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, ...ranges[i], expression));
+    
+    // Sunday may be written as 0 or 7
+    if (weekdays.has(7)) weekdays.add(0);
+    
+    return {
+        minutes, hours, days, months, weekdays,
+        daysRestricted: fields[2] !== '*',
+        weekdaysRestricted: fields[4] !== '*'
+    };
+}
+
+function parseCronField(field, min, max, expression) {
+    const values = new Set();
+    
+    field.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        let start = min;
+        let end = max;
+        
+        if (range !== '*') {
+            const bounds = range.split('-').map(n => parseInt(n, 10));
+            start = bounds[0];
+            end = bounds.length > 1 ? bounds[1] : (stepText === undefined ? start : max);
         }
         
-        if (geoScore < 70) {
-            recommendations.push("Consider restructuring content to answer user questions more directly");
+        if ([start, end, step].some(isNaN) || step < 1 || start < min || end > max || start > end) {
+            throw new Error(`Invalid cron schedule "${expression}": bad field "${field}"`);
         }
         
-        if (!cleanHtml.includes('schema.org')) {
-            recommendations.push("Add FAQ schema markup to help AI engines understand your Q&A content");
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
         }
-        
-        // Generate specific insights
-        const insights = generateGEOInsights(factors, textContent, topic);
-        
-        return {
-            geoScore: Math.round(geoScore),
-            maxScore: maxScore,
-            percentage: Math.round((geoScore / maxScore) * 100),
-            factors: factors,
-            recommendations: recommendations.slice(0, 8), // Limit to top 8 recommendations
-            insights: insights,
-            analysis: {
-                wordCount: wordCount,
-                headingCount: headingCount,
-                listCount: listCount,
-                bulletPoints: bulletPoints,
-                questionHeadings: questionHeadings,
-                hasDirectAnswer: factors.directAnswers > 15,
-                hasFAQ: factors.faqSections > 10,
-                isComprehensive: factors.comprehensiveness > 10
+    });
+    
+    return values;
+}
+
+function getNextCronRun(expression, from) {
+    const cron = parseCron(expression);
+    const date = new Date(from.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    
+    // When both day fields are restricted, cron matches either of them
+    const dayMatches = d => {
+        const dom = cron.days.has(d.getUTCDate());
+        const dow = cron.weekdays.has(d.getUTCDay());
+        if (cron.daysRestricted && cron.weekdaysRestricted) return dom || dow;
+        if (cron.daysRestricted) return dom;
+        if (cron.weekdaysRestricted) return dow;
+        return true;
+    };
+    
+    const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    
+    while (date.getTime() < limit) {
+        if (!cron.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!dayMatches(date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    
+    throw new Error(`Cron schedule "${expression}" never runs`);
+}
+
+// BRANDING
+// Returns the logo as a data URI. Redirects aren't followed, so the
+// address check can't be sidestepped.
+async function fetchBrandingLogo(logoUrl) {
+    await assertPublicHost(logoUrl);
+    
+    const response = await axios.get(logoUrl, {
+        responseType: 'arraybuffer',
+        timeout: 5000,
+        maxContentLength: BRANDING_LOGO_MAX_BYTES,
+        maxRedirects: 0,
+        lookup: publicOnlyLookup
+    });
+    
+    const type = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!['image/png', 'image/jpeg'].includes(type)) {
+        throw new Error('logo must be a PNG or JPEG image');
+    }
+    return `data:${type};base64,${Buffer.from(response.data).toString('base64')}`;
+}
+
+function decodeLogoDataUri(dataUri) {
+    const base64 = dataUri.slice(dataUri.indexOf(',') + 1);
+    // Checked before decoding, so an oversized logo is never held in memory twice
+    if (Buffer.byteLength(base64, 'base64') > BRANDING_LOGO_MAX_BYTES) return null;
+    return Buffer.from(base64, 'base64');
+}
+
+function validateBranding(branding) {
+    const hexColor = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+    
+    if (branding.companyName !== undefined && (branding.companyName.length === 0 || branding.companyName.length > 100)) {
+        return 'Company name must be 1-100 characters';
+    }
+    if (branding.logoUrl !== undefined && !/^(https?:\/\/|data:image\/(png|jpeg);base64,)/i.test(branding.logoUrl)) {
+        return 'Logo URL must be http(s) or a PNG/JPEG data URI';
+    }
+    if (branding.logoUrl !== undefined && /^data:/i.test(branding.logoUrl) && !decodeLogoDataUri(branding.logoUrl)) {
+        return 'Logo must be 2MB or smaller';
+    }
+    for (const field of ['primaryColor', 'accentColor']) {
+        if (branding[field] !== undefined && !hexColor.test(branding[field])) {
+            return `${field} must be a hex colour such as #1f3a93`;
+        }
+    }
+    
+    return null;
+}
+
+// REPORTS
+// Every reportable analysis type is flattened into one model shared by the
+// HTML, PDF and CSV renderers
+const REPORT_TITLES = {
+    'seo': 'SEO Audit',
+    'technical-seo': 'Technical SEO Audit',
+    'broken-links': 'Broken Link Report',
+    'keywords': 'Keyword Report',
+    'geo': 'GEO Optimization Report',
+    'geo-visibility': 'AI Visibility Report'
+};
+
+const REPORT_DATASETS = {
+    'broken-links': {
+        columns: ['url', 'status', 'type', 'isInternal', 'text', 'error'],
+        rows: model => model.brokenLinks
+    },
+    'keywords': {
+        columns: ['keyword', 'ngram', 'frequency', 'density', 'prominence', 'score'],
+        rows: model => model.keywords
+    }
+};
+
+function validateReportRequest(type, format, dataset) {
+    if (!REPORT_TITLES[type]) {
+        return `Reports are not available for ${type} analyses`;
+    }
+    if (!REPORT_FORMATS.includes(format)) {
+        return `Format must be one of: ${REPORT_FORMATS.join(', ')}`;
+    }
+    if (format === 'csv' && !REPORT_DATASETS[dataset]) {
+        return `CSV exports need a dataset: ${Object.keys(REPORT_DATASETS).join(', ')}`;
+    }
+    return null;
+}
+
+async function sendReport(res, analysis, customer, format, dataset) {
+    const validationError = validateReportRequest(analysis.type, format, dataset);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    const model = buildReportModel(analysis, customer.branding);
+    const date = new Date(model.createdAt).toISOString().slice(0, 10);
+    const baseName = `${slugify(getDomain(model.url) || model.url)}-${format === 'csv' ? dataset : analysis.type}-${date}`;
+    
+    if (format === 'html') {
+        return res.type('html').send(renderReportHTML(model));
+    }
+    
+    if (format === 'pdf') {
+        const pdf = await renderReportPDF(model);
+        res.set('Content-Disposition', `attachment; filename="${baseName}.pdf"`);
+        return res.type('pdf').send(pdf);
+    }
+    
+    res.set('Content-Disposition', `attachment; filename="${baseName}.csv"`);
+    res.type('text/csv').send(renderReportCSV(model, dataset));
+}
+
+function buildReportModel(analysis, branding) {
+    const result = analysis.result;
+    const model = {
+        title: REPORT_TITLES[analysis.type],
+        type: analysis.type,
+        url: analysis.url,
+        analysisId: analysis.id,
+        createdAt: analysis.createdAt,
+        branding: { ...DEFAULT_BRANDING, ...branding },
+        scores: [],
+        summary: [],
+        issues: [],
+        recommendations: result.recommendations || [],
+        opportunities: [],
+        insights: [],
+        brokenLinks: [],
+        keywords: []
+    };
+    
+    const addScores = (scores = {}) => {
+        Object.entries(scores).forEach(([name, value]) => {
+            if (typeof value === 'number') model.scores.push({ label: humanizeLabel(name), value: value });
+        });
+    };
+    
+    // Lab scores per strategy, then the mobile vitals with their data source
+    const addPageSpeed = (pageSpeed, estimate) => {
+        if (!pageSpeed) return;
+        if (!pageSpeed.available) {
+            if (estimate) {
+                model.summary.push({ label: 'Page speed (estimate)', value: estimate.score });
+                model.summary.push({ label: 'Server response (TTFB)', value: estimate.metrics.ttfbMs === null ? 'n/a' : `${estimate.metrics.ttfbMs} ms` });
+            } else {
+                model.summary.push({ label: 'Page speed', value: `Unavailable (${pageSpeed.reason})` });
             }
-        };
-        
-    } catch (error) {
-        return {
-            geoScore: 0,
-            maxScore: 100,
-            percentage: 0,
-            factors: {},
-            recommendations: ['Unable to analyze website content for GEO optimization'],
-            insights: [],
-            analysis: {},
-            error: error.message
-        };
+            return;
+        }
+        Object.entries(pageSpeed.strategies).forEach(([strategy, data]) => {
+            if (data.available) model.summary.push({ label: `Performance (${strategy})`, value: data.categories.performance ?? 'n/a' });
+        });
+        const primary = getPrimaryPageSpeedStrategy(pageSpeed);
+        (primary ? primary.data.coreWebVitals : []).forEach(vital => {
+            const measurement = vital.field || vital.lab;
+            if (!measurement) return;
+            const value = vital.field ? formatWebVital(vital.metric, vital.field.value) : vital.lab.displayValue;
+            model.summary.push({ label: `${vital.metric} (${primary.strategy})`, value: `${value} - ${measurement.rating} (${vital.field ? 'field' : 'lab'})` });
+        });
+    };
+    
+    if (analysis.type === 'seo') {
+        model.scores.push({ label: 'Overall', value: result.scores?.overall ?? 0 });
+        if (typeof result.scores?.pageSpeed === 'number') {
+            model.scores.push({ label: 'Page speed', value: result.scores.pageSpeed });
+        }
+        model.issues = result.issues || [];
+        model.opportunities = result.opportunities || [];
+        model.brokenLinks = result.brokenLinks || [];
+        model.keywords = result.extractedKeywords || [];
+        model.summary.push({ label: 'Links checked', value: result.technical?.totalLinks ?? 'n/a' });
+        model.summary.push({ label: 'Broken links', value: model.brokenLinks.length });
+        (result.keywordTargeting?.keywords || []).forEach(target => {
+            model.summary.push({ label: `Target "${target.keyword}"`, value: `${target.grade} (${target.score}/100)` });
+        });
+        addPageSpeed(result.pageSpeed, result.performanceEstimate);
+    } else if (analysis.type === 'technical-seo') {
+        model.scores.push({ label: 'Overall', value: result.overallScore ?? 0 });
+        addScores(result.scores);
+        model.issues = result.issues || [];
+        addPageSpeed(result.pageSpeed, result.performanceEstimate);
+    } else if (analysis.type === 'broken-links') {
+        model.brokenLinks = result.brokenLinks || [];
+        model.summary.push({ label: 'Links found', value: result.totalLinks ?? 0 });
+        model.summary.push({ label: 'Links checked', value: result.checkedLinks ?? 0 });
+        model.summary.push({ label: 'Broken links', value: model.brokenLinks.length });
+    } else if (analysis.type === 'keywords') {
+        model.keywords = result.keywords || [];
+        model.summary.push({ label: 'Word count', value: result.wordCount ?? 0 });
+    } else if (analysis.type === 'geo') {
+        model.scores.push({ label: 'GEO score', value: result.geoScore ?? 0 });
+        addScores(result.factors);
+        model.insights = result.insights || [];
+        if (result.aiVisibility) {
+            model.summary.push({ label: 'AI mention rate', value: `${result.aiVisibility.mentionRate ?? 'n/a'}%` });
+            model.summary.push({ label: 'AI share of voice', value: `${result.aiVisibility.shareOfVoice ?? 'n/a'}%` });
+        }
+    } else if (analysis.type === 'geo-visibility') {
+        model.scores.push({ label: 'GEO score', value: result.geoScore ?? 0 });
+        ['mentionRate', 'citationRate', 'shareOfVoice'].forEach(name => {
+            if (typeof result.summary[name] === 'number') model.scores.push({ label: humanizeLabel(name), value: result.summary[name] });
+        });
+        model.issues = result.issues || [];
+        model.summary.push({ label: 'Brand', value: result.brand.domain ? `${result.brand.name} (${result.brand.domain})` : result.brand.name });
+        if (result.topic) model.summary.push({ label: 'Topic', value: result.topic });
+        model.summary.push({ label: 'Answers checked', value: `${result.summary.answered} of ${result.summary.queries}` });
+        result.shareOfVoice.forEach(entry => {
+            model.summary.push({ label: `Share of voice: ${entry.name}`, value: `${entry.share}% (${entry.mentions} answer(s))` });
+        });
+        result.providers.forEach(provider => {
+            model.summary.push({ label: `Mention rate (${provider.provider})`, value: provider.mentionRate === null ? 'n/a' : `${provider.mentionRate}%` });
+        });
     }
+    
+    return model;
 }
 
-function getFirstParagraph(html) {
-    const paragraphMatch = html.match(/<p[^>]*>([^<]+)<\/p>/i);
-    return paragraphMatch ? paragraphMatch[1].trim() : '';
+function humanizeLabel(name) {
+    const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
 }
 
-function containsDirectAnswer(text) {
-    const directAnswerPatterns = [
-        /^(yes|no|the answer is|simply|basically|essentially)/i,
-        /(is|are|means|refers to|involves)/i,
-        /^(to|in order to|you can|you should|you need)/i
-    ];
+function renderReportHTML(model) {
+    const { branding } = model;
+    const list = (title, items) => items.length === 0 ? '' :
+        `<h2>${escapeHtml(title)}</h2><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    const table = (title, columns, rows) => rows.length === 0 ? '' :
+        `<h2>${escapeHtml(title)}</h2><table><thead><tr>${columns.map(c => `<th>${escapeHtml(humanizeLabel(c))}</th>`).join('')}</tr></thead>` +
+        `<tbody>${rows.map(row => `<tr>${columns.map(c => `<td>${escapeHtml(row[c] ?? '')}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
     
-    return directAnswerPatterns.some(pattern => pattern.test(text));
+    const logo = branding.logoUrl ? `<img class="logo" src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.companyName)}">` : '';
+    const scores = model.scores.map(score =>
+        `<div class="score"><span class="value">${escapeHtml(score.value)}</span><span class="label">${escapeHtml(score.label)}</span></div>`).join('');
+    const summary = model.summary.map(item => `<li><strong>${escapeHtml(item.label)}:</strong> ${escapeHtml(item.value)}</li>`).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(model.title)} - ${escapeHtml(model.url)}</title>
+<style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 900px; margin: 0 auto; padding: 32px; }
+    header { border-bottom: 4px solid ${branding.primaryColor}; padding-bottom: 16px; margin-bottom: 24px; }
+    .logo { max-height: 60px; float: right; }
+    h1 { color: ${branding.primaryColor}; margin: 0 0 4px; }
+    h2 { color: ${branding.primaryColor}; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 32px; }
+    .meta { color: #666; font-size: 14px; }
+    .scores { display: flex; flex-wrap: wrap; gap: 12px; }
+    .score { border: 2px solid ${branding.accentColor}; border-radius: 8px; padding: 12px; min-width: 110px; text-align: center; }
+    .score .value { display: block; font-size: 28px; font-weight: bold; color: ${branding.primaryColor}; }
+    .score .label { font-size: 13px; color: #555; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th { background: ${branding.primaryColor}; color: #fff; text-align: left; padding: 6px; }
+    td { border-bottom: 1px solid #eee; padding: 6px; word-break: break-all; }
+    footer { margin-top: 40px; color: #888; font-size: 12px; border-top: 1px solid #ddd; padding-top: 8px; }
+</style>
+</head>
+<body>
+<header>
+    ${logo}
+    <h1>${escapeHtml(model.title)}</h1>
+    <div class="meta">${escapeHtml(model.url)} &middot; ${escapeHtml(new Date(model.createdAt).toUTCString())}</div>
+</header>
+${scores ? `<div class="scores">${scores}</div>` : ''}
+${summary ? `<ul>${summary}</ul>` : ''}
+${list('Issues', model.issues)}
+${list('Recommendations', model.recommendations)}
+${list('Opportunities', model.opportunities)}
+${list('Insights', model.insights)}
+${table('Broken links', REPORT_DATASETS['broken-links'].columns, model.brokenLinks)}
+${table('Keywords', REPORT_DATASETS.keywords.columns, model.keywords)}
+<footer>Prepared by ${escapeHtml(branding.companyName)}</footer>
+</body>
+</html>
+`;
 }
 
-function generateGEOInsights(factors, content, topic) {
-    const insights = [];
+// The built-in PDF fonts only cover Latin-1, so emoji and symbols are dropped
+function toPDFText(value) {
+    return String(value ?? '').replace(/→/g, '->').replace(/[^\n\x20-\x7E\u00A0-\u00FF]/g, '').trim();
+}
+
+async function renderReportPDF(model) {
+    const { branding } = model;
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${model.title} - ${model.url}`, Author: branding.companyName } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
     
-    if (factors.directAnswers >= 20) {
-        insights.push("✅ Excellent direct answer format - AI engines will easily extract key information");
-    } else if (factors.directAnswers >= 10) {
-        insights.push("⚠️ Good start with direct answers, but could be more concise and clear");
-    } else {
-        insights.push("❌ Missing direct answers - add clear, immediate responses to user questions");
+    const logo = await loadReportLogo(branding.logoUrl);
+    if (logo) {
+        try {
+            doc.image(logo, doc.page.width - 170, 40, { fit: [120, 50], align: 'right' });
+        } catch (error) {
+            console.log('Report logo skipped:', error.message);
+        }
     }
     
-    if (factors.structuredContent >= 15) {
-        insights.push("✅ Well-structured content with good use of lists and bullet points");
-    } else {
-        insights.push("⚠️ Content needs better structure - more bullet points and numbered lists");
+    doc.fillColor(branding.primaryColor).fontSize(22).text(toPDFText(model.title), 50, 50, { width: 330 });
+    doc.fillColor('#666666').fontSize(10).text(toPDFText(model.url)).text(new Date(model.createdAt).toUTCString());
+    doc.moveTo(50, doc.y + 8).lineTo(doc.page.width - 50, doc.y + 8).lineWidth(3).strokeColor(branding.primaryColor).stroke();
+    doc.moveDown(1.5);
+    
+    const heading = title => {
+        doc.moveDown(0.8).fillColor(branding.primaryColor).fontSize(14).text(title, 50);
+        doc.fillColor('#222222').fontSize(10).moveDown(0.3);
+    };
+    const list = (title, items) => {
+        if (items.length === 0) return;
+        heading(title);
+        items.forEach(item => doc.text(toPDFText(item), { bulletRadius: 1.5, indent: 10 }));
+    };
+    
+    if (model.scores.length > 0) {
+        heading('Scores');
+        model.scores.forEach(score => {
+            doc.fillColor('#222222').text(`${toPDFText(score.label)}: `, { continued: true })
+                .fillColor(branding.accentColor).text(String(score.value));
+        });
+    }
+    if (model.summary.length > 0) {
+        heading('Summary');
+        model.summary.forEach(item => doc.text(`${toPDFText(item.label)}: ${toPDFText(item.value)}`));
     }
     
-    if (factors.faqSections >= 15) {
-        insights.push("✅ Strong FAQ presence - perfect for AI question-answering");
-    } else if (factors.faqSections >= 5) {
-        insights.push("⚠️ Some Q&A elements found, but could expand FAQ sections");
-    } else {
-        insights.push("❌ No FAQ sections detected - critical for GEO optimization");
+    list('Issues', model.issues);
+    list('Recommendations', model.recommendations);
+    list('Opportunities', model.opportunities);
+    list('Insights', model.insights.map(toPDFText).filter(Boolean));
+    list('Broken links', model.brokenLinks.map(link => `${link.url} (${link.status || link.error || 'error'})`));
+    list('Keywords', model.keywords.map(keyword => `${keyword.keyword} (${keyword.frequency})`));
+    
+    doc.moveDown(2).fillColor('#888888').fontSize(9).text(`Prepared by ${toPDFText(branding.companyName)}`, 50);
+    doc.end();
+    
+    return finished;
+}
+
+// A logo that can't be loaded is left out rather than failing the report.
+// Logos saved as URLs before they were stored inline go through the same
+// checks as a newly saved one.
+async function loadReportLogo(logoUrl) {
+    if (!logoUrl) return null;
+    
+    try {
+        const dataUri = logoUrl.startsWith('data:') ? logoUrl : await fetchBrandingLogo(logoUrl);
+        return decodeLogoDataUri(dataUri);
+    } catch (error) {
+        console.log('Report logo unavailable:', error.message);
+        return null;
     }
+}
+
+// Cells starting with = + - @ are prefixed so spreadsheets don't run them as formulas
+function renderReportCSV(model, dataset) {
+    const { columns, rows } = REPORT_DATASETS[dataset];
+    const cell = value => {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) text = "'" + text;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
     
-    if (factors.comprehensiveness >= 12) {
-        insights.push("✅ Comprehensive content coverage");
-    } else {
-        insights.push("⚠️ Content could be more comprehensive and detailed");
+    return [columns, ...rows(model).map(row => columns.map(column => row[column]))]
+        .map(row => row.map(cell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+// HISTORY
+// Stored results differ by type; snapshots flatten them to comparable scores
+function getScoreSnapshot(analysis) {
+    const result = analysis.result;
+    const snapshot = {
+        analysisId: analysis.id,
+        type: analysis.type,
+        createdAt: analysis.createdAt,
+        overallScore: null,
+        geoScore: null,
+        subScores: {}
+    };
+    
+    if (analysis.type === 'seo') {
+        snapshot.overallScore = result.scores?.overall ?? null;
+        if (result.scores?.pageSpeed !== undefined) snapshot.subScores.pageSpeed = result.scores.pageSpeed;
+        snapshot.subScores.brokenLinks = (result.brokenLinks || []).length;
+    } else if (analysis.type === 'technical-seo') {
+        snapshot.overallScore = result.overallScore ?? null;
+        snapshot.subScores = { ...result.scores };
+    } else if (analysis.type === 'geo') {
+        snapshot.geoScore = result.geoScore ?? null;
+        snapshot.subScores = { ...result.factors };
+    } else if (analysis.type === 'geo-visibility') {
+        snapshot.geoScore = result.geoScore ?? null;
+        snapshot.subScores = {
+            mentionRate: result.summary.mentionRate,
+            citationRate: result.summary.citationRate,
+            shareOfVoice: result.summary.shareOfVoice
+        };
     }
     
-    return insights;
+    return snapshot;
 }
 
-function isStopWord(word) {
-    const stopWords = ['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'];
-    return stopWords.includes(word);
+function getAnalysisIssues(analysis) {
+    const result = analysis.result;
+    
+    // GEO results phrase their findings as recommendations
+    if (analysis.type === 'geo') return result.recommendations || [];
+    return result.issues || [];
 }
 
-async function getAIRecommendations(url) {
-    try {
-        const response = await axios.get(url, { timeout: 10000 });
-        const content = response.data.replace(/<[^>]*>/g, ' ').substring(0, 1000);
+// Issues are matched with numbers masked, so "40% of images missing alt text"
+// and "25% of images missing alt text" count as the same, persisting issue
+function diffAnalyses(fromAnalysis, toAnalysis) {
+    const issueKey = issue => String(issue).replace(/\d+(\.\d+)?/g, '#');
+    const fromIssues = new Map(getAnalysisIssues(fromAnalysis).map(issue => [issueKey(issue), issue]));
+    const toIssues = new Map(getAnalysisIssues(toAnalysis).map(issue => [issueKey(issue), issue]));
+    
+    const fromSnapshot = getScoreSnapshot(fromAnalysis);
+    const toSnapshot = getScoreSnapshot(toAnalysis);
+    
+    const scoreChange = (before, after) => ({
+        from: before,
+        to: after,
+        change: typeof before === 'number' && typeof after === 'number' ? after - before : null
+    });
+    
+    const subScoreNames = new Set([...Object.keys(fromSnapshot.subScores), ...Object.keys(toSnapshot.subScores)]);
+    const subScores = {};
+    subScoreNames.forEach(name => {
+        subScores[name] = scoreChange(fromSnapshot.subScores[name] ?? null, toSnapshot.subScores[name] ?? null);
+    });
+    
+    const diff = {
+        type: toAnalysis.type,
+        url: toAnalysis.url,
+        from: { analysisId: fromAnalysis.id, createdAt: fromAnalysis.createdAt },
+        to: { analysisId: toAnalysis.id, createdAt: toAnalysis.createdAt },
+        overallScore: scoreChange(fromSnapshot.overallScore, toSnapshot.overallScore),
+        geoScore: scoreChange(fromSnapshot.geoScore, toSnapshot.geoScore),
+        subScores: subScores,
+        issues: {
+            appeared: Array.from(toIssues.keys()).filter(key => !fromIssues.has(key)).map(key => toIssues.get(key)),
+            fixed: Array.from(fromIssues.keys()).filter(key => !toIssues.has(key)).map(key => fromIssues.get(key)),
+            persisting: Array.from(toIssues.keys()).filter(key => fromIssues.has(key)).map(key => toIssues.get(key))
+        }
+    };
+    
+    if (toAnalysis.type === 'seo') {
+        const fromBroken = new Set((fromAnalysis.result.brokenLinks || []).map(link => link.url));
+        const toBroken = new Set((toAnalysis.result.brokenLinks || []).map(link => link.url));
+        diff.brokenLinks = {
+            appeared: Array.from(toBroken).filter(link => !fromBroken.has(link)),
+            fixed: Array.from(fromBroken).filter(link => !toBroken.has(link))
+        };
+    }
+    
+    return diff;
+}
+
+// STORAGE
+// Every adapter exposes the same async interface so routes never care which
+// backend is configured. Records are plain objects with Date fields.
+function createStorage(driver) {
+    if (driver === 'memory') {
+        return createMemoryStorage();
+    }
+    if (driver === 'sqlite') {
+        return createSQLiteStorage(DATABASE_PATH);
+    }
+    throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+function createMemoryStorage() {
+    const customers = new Map();
+    const sessions = new Map();
+    const analyses = new Map();
+    const usage = [];
+    const webhookEvents = new Map();
+    const monitors = new Map();
+    const keywordCorpus = new Map();
+    const llmUsage = [];
+    
+    // Copies keep callers from mutating stored records, like a real database
+    const copy = record => record ? structuredClone(record) : null;
+    
+    return {
+        driver: 'memory',
+        
+        async migrate() {},
+        
+        async getCustomer(email) {
+            return copy(customers.get(email));
+        },
+        
+        async saveCustomer(customer) {
+            customers.set(customer.email, copy(customer));
+        },
+        
+        async countCustomers(status) {
+            return Array.from(customers.values())
+                .filter(c => status === undefined || c.status === status).length;
+        },
+        
+        async listCustomers({ status, limit = 100 } = {}) {
+            return Array.from(customers.values())
+                .filter(c => status === undefined || c.status === status)
+                .sort((a, b) => a.joinDate - b.joinDate)
+                .slice(0, limit)
+                .map(copy);
+        },
+        
+        async createSession(session) {
+            sessions.set(session.tokenHash, copy(session));
+        },
+        
+        async getSessionByTokenHash(tokenHash) {
+            return copy(sessions.get(tokenHash));
+        },
+        
+        async listCustomerSessions(email) {
+            return Array.from(sessions.values())
+                .filter(s => s.customerEmail === email)
+                .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+                .map(copy);
+        },
+        
+        async touchSession(id, lastSeenAt, expiresAt) {
+            sessions.forEach(session => {
+                if (session.id === id) {
+                    session.lastSeenAt = new Date(lastSeenAt);
+                    session.expiresAt = new Date(expiresAt);
+                }
+            });
+        },
         
-        const aiResponse = await axios.post('https://api.openai.com/v1/chat/completions', {
-            model: 'gpt-3.5-turbo',
-            messages: [{
-                role: 'user',
-                content: `Analyze this website for SEO improvements: ${content}`
-            }],
-            max_tokens: 300
-        }, {
-            headers: {
-                'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
-        });
+        async deleteSession(id) {
+            sessions.forEach((session, tokenHash) => {
+                if (session.id === id) sessions.delete(tokenHash);
+            });
+        },
+        
+        async deleteCustomerSessions(email) {
+            sessions.forEach((session, tokenHash) => {
+                if (session.customerEmail === email) sessions.delete(tokenHash);
+            });
+        },
         
-        const recommendations = aiResponse.data.choices[0].message.content
-            .split('\n').filter(r => r.trim()).slice(0, 5);
+        async deleteExpiredSessions(now) {
+            sessions.forEach((session, tokenHash) => {
+                if (session.expiresAt <= now) sessions.delete(tokenHash);
+            });
+        },
+        
+        async saveAnalysis(analysis) {
+            analyses.set(analysis.id, copy(analysis));
+        },
+        
+        async getAnalysis(id) {
+            return copy(analyses.get(id));
+        },
+        
+        async listAnalyses({ customerEmail, url, type, limit = 50 } = {}) {
+            return Array.from(analyses.values())
+                .filter(a => customerEmail === undefined || a.customerEmail === customerEmail)
+                .filter(a => url === undefined || a.url === url)
+                .filter(a => type === undefined || a.type === type)
+                .sort((a, b) => b.createdAt - a.createdAt)
+                .slice(0, limit)
+                .map(copy);
+        },
+        
+        async sumUsage(email, since) {
+            return usage
+                .filter(u => u.customerEmail === email && u.createdAt >= since)
+                .reduce((sum, u) => sum + u.units, 0);
+        },
+        
+        // Records the entry only if it keeps every window within its limit
+        async chargeUsage(entry, limits) {
+            const used = limits.map(limit => usage
+                .filter(u => u.customerEmail === entry.customerEmail && u.createdAt >= limit.since)
+                .reduce((sum, u) => sum + u.units, 0));
+            
+            const charged = limits.every((limit, i) => used[i] + entry.units <= limit.limit);
+            if (charged) usage.push(copy(entry));
+            return { charged: charged, used: used };
+        },
+        
+        async recordLLMUsage(entry) {
+            llmUsage.push(copy(entry));
+        },
+        
+        async summarizeLLMUsage(email, since) {
+            return llmUsage
+                .filter(u => u.customerEmail === email && u.createdAt >= since)
+                .reduce((totals, u) => ({
+                    requests: totals.requests + 1,
+                    inputTokens: totals.inputTokens + u.inputTokens,
+                    outputTokens: totals.outputTokens + u.outputTokens,
+                    costUsd: totals.costUsd + u.costUsd
+                }), { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+        },
+        
+        async saveWebhookEvent(event) {
+            webhookEvents.set(event.id, copy(event));
+        },
+        
+        // Inserts the event, or takes over a failed earlier delivery; false if
+        // another delivery holds or has finished it
+        async claimWebhookEvent(event) {
+            const existing = webhookEvents.get(event.id);
+            if (existing && existing.status !== 'failed') return false;
+            
+            webhookEvents.set(event.id, copy({ ...event, receivedAt: existing ? existing.receivedAt : event.receivedAt }));
+            return true;
+        },
+        
+        async getWebhookEvent(id) {
+            return copy(webhookEvents.get(id));
+        },
+        
+        async listWebhookEvents({ status, limit = 100 } = {}) {
+            return Array.from(webhookEvents.values())
+                .filter(e => status === undefined || e.status === status)
+                .sort((a, b) => b.receivedAt - a.receivedAt)
+                .slice(0, limit)
+                .map(copy);
+        },
+        
+        async saveMonitor(monitor) {
+            monitors.set(monitor.id, copy(monitor));
+        },
+        
+        async getMonitor(id) {
+            return copy(monitors.get(id));
+        },
+        
+        async listMonitors(email) {
+            return Array.from(monitors.values())
+                .filter(m => m.customerEmail === email)
+                .sort((a, b) => a.createdAt - b.createdAt)
+                .map(copy);
+        },
+        
+        async listDueMonitors(now) {
+            return Array.from(monitors.values())
+                .filter(m => m.enabled && m.nextRunAt <= now)
+                .map(copy);
+        },
+        
+        async deleteMonitor(id) {
+            monitors.delete(id);
+        },
+        
+        async getKeywordCorpus(language, terms) {
+            const corpus = keywordCorpus.get(language);
+            const frequencies = {};
+            terms.forEach(term => {
+                frequencies[term] = corpus ? corpus.terms.get(term) || 0 : 0;
+            });
+            return { documents: corpus ? corpus.documents.size : 0, frequencies: frequencies };
+        },
         
-        return { recommendations };
+        // Each URL counts once, however often it is re-analyzed
+        async addKeywordCorpusDocument(language, url, terms) {
+            if (!keywordCorpus.has(language)) {
+                keywordCorpus.set(language, { documents: new Set(), terms: new Map() });
+            }
+            const corpus = keywordCorpus.get(language);
+            if (corpus.documents.has(url)) return false;
+            
+            corpus.documents.add(url);
+            terms.forEach(term => corpus.terms.set(term, (corpus.terms.get(term) || 0) + 1));
+            return true;
+        }
+    };
+}
+
+// Schema changes are appended here; each runs once, in order, in a transaction
+const SQLITE_MIGRATIONS = [
+    {
+        version: 1,
+        name: 'create customers, sessions and analyses',
+        sql: `
+            CREATE TABLE customers (
+                email TEXT PRIMARY KEY,
+                name TEXT,
+                access_code TEXT NOT NULL,
+                join_date TEXT NOT NULL,
+                payment_amount REAL,
+                last_login TEXT
+            );
+            CREATE TABLE sessions (
+                token TEXT PRIMARY KEY,
+                customer_email TEXT NOT NULL REFERENCES customers(email) ON DELETE CASCADE,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX sessions_customer_email ON sessions(customer_email);
+            CREATE TABLE analyses (
+                id TEXT PRIMARY KEY,
+                customer_email TEXT,
+                type TEXT NOT NULL,
+                url TEXT NOT NULL,
+                result TEXT NOT NULL,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX analyses_lookup ON analyses(customer_email, url, created_at);
+        `
+    },
+    {
+        version: 2,
+        name: 'create usage',
+        sql: `
+            CREATE TABLE usage (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                customer_email TEXT NOT NULL,
+                route TEXT NOT NULL,
+                units INTEGER NOT NULL DEFAULT 1,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX usage_customer_created ON usage(customer_email, created_at);
+        `
+    },
+    {
+        // Plaintext-token sessions from version 1 are dropped; customers log in again
+        version: 3,
+        name: 'hashed, expiring sessions',
+        sql: `
+            DROP TABLE sessions;
+            CREATE TABLE sessions (
+                id TEXT PRIMARY KEY,
+                token_hash TEXT NOT NULL UNIQUE,
+                customer_email TEXT NOT NULL REFERENCES customers(email) ON DELETE CASCADE,
+                created_at TEXT NOT NULL,
+                last_seen_at TEXT NOT NULL,
+                expires_at TEXT NOT NULL,
+                user_agent TEXT,
+                ip_address TEXT
+            );
+            CREATE INDEX sessions_customer_email ON sessions(customer_email);
+            CREATE INDEX sessions_expires_at ON sessions(expires_at);
+        `
+    },
+    {
+        version: 4,
+        name: 'customer status and webhook event log',
+        sql: `
+            ALTER TABLE customers ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+            ALTER TABLE customers ADD COLUMN revoked_at TEXT;
+            CREATE INDEX customers_status ON customers(status, join_date);
+            CREATE TABLE webhook_events (
+                id TEXT PRIMARY KEY,
+                type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL,
+                received_at TEXT NOT NULL,
+                processed_at TEXT,
+                result TEXT,
+                error TEXT
+            );
+            CREATE INDEX webhook_events_received_at ON webhook_events(received_at);
+        `
+    },
+    {
+        version: 5,
+        name: 'create monitors',
+        sql: `
+            CREATE TABLE monitors (
+                id TEXT PRIMARY KEY,
+                customer_email TEXT NOT NULL REFERENCES customers(email) ON DELETE CASCADE,
+                url TEXT NOT NULL,
+                schedule TEXT NOT NULL,
+                alert_email INTEGER NOT NULL DEFAULT 1,
+                webhook_url TEXT,
+                score_drop_threshold INTEGER NOT NULL,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                created_at TEXT NOT NULL,
+                next_run_at TEXT NOT NULL,
+                last_run_at TEXT,
+                last_result TEXT,
+                last_error TEXT
+            );
+            CREATE INDEX monitors_customer_email ON monitors(customer_email);
+            CREATE INDEX monitors_due ON monitors(enabled, next_run_at);
+        `
+    },
+    {
+        version: 6,
+        name: 'customer report branding',
+        sql: `
+            ALTER TABLE customers ADD COLUMN branding TEXT;
+        `
+    },
+    {
+        version: 7,
+        name: 'keyword background corpus',
+        sql: `
+            CREATE TABLE keyword_corpus_documents (
+                language TEXT NOT NULL,
+                url TEXT NOT NULL,
+                added_at TEXT NOT NULL,
+                PRIMARY KEY (language, url)
+            );
+            CREATE TABLE keyword_corpus_terms (
+                language TEXT NOT NULL,
+                term TEXT NOT NULL,
+                document_count INTEGER NOT NULL,
+                PRIMARY KEY (language, term)
+            );
+        `
+    },
+    {
+        version: 8,
+        name: 'llm usage',
+        sql: `
+            CREATE TABLE llm_usage (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                customer_email TEXT NOT NULL,
+                provider TEXT NOT NULL,
+                model TEXT NOT NULL,
+                input_tokens INTEGER NOT NULL,
+                output_tokens INTEGER NOT NULL,
+                cost_usd REAL NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX llm_usage_customer_created ON llm_usage(customer_email, created_at);
+        `
+    }
+];
+
+function createSQLiteStorage(databasePath) {
+    const Database = require('better-sqlite3');
+    
+    if (databasePath !== ':memory:') {
+        fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+    }
+    
+    const db = new Database(databasePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    
+    const toDate = value => value ? new Date(value) : null;
+    const toISO = value => value ? new Date(value).toISOString() : null;
+    
+    const rowToCustomer = row => row ? {
+        email: row.email,
+        name: row.name,
+        accessCode: row.access_code,
+        joinDate: toDate(row.join_date),
+        paymentAmount: row.payment_amount,
+        lastLogin: toDate(row.last_login),
+        status: row.status,
+        revokedAt: toDate(row.revoked_at),
+        branding: row.branding ? JSON.parse(row.branding) : null
+    } : null;
+    
+    const rowToSession = row => row ? {
+        id: row.id,
+        tokenHash: row.token_hash,
+        customerEmail: row.customer_email,
+        createdAt: toDate(row.created_at),
+        lastSeenAt: toDate(row.last_seen_at),
+        expiresAt: toDate(row.expires_at),
+        userAgent: row.user_agent,
+        ipAddress: row.ip_address
+    } : null;
+    
+    const rowToWebhookEvent = row => row ? {
+        id: row.id,
+        type: row.type,
+        payload: JSON.parse(row.payload),
+        status: row.status,
+        receivedAt: toDate(row.received_at),
+        processedAt: toDate(row.processed_at),
+        result: row.result ? JSON.parse(row.result) : null,
+        error: row.error
+    } : null;
+    
+    const rowToMonitor = row => row ? {
+        id: row.id,
+        customerEmail: row.customer_email,
+        url: row.url,
+        schedule: row.schedule,
+        alertEmail: Boolean(row.alert_email),
+        webhookUrl: row.webhook_url,
+        scoreDropThreshold: row.score_drop_threshold,
+        enabled: Boolean(row.enabled),
+        createdAt: toDate(row.created_at),
+        nextRunAt: toDate(row.next_run_at),
+        lastRunAt: toDate(row.last_run_at),
+        lastResult: row.last_result ? JSON.parse(row.last_result) : null,
+        lastError: row.last_error
+    } : null;
+    
+    const rowToAnalysis = row => row ? {
+        id: row.id,
+        customerEmail: row.customer_email,
+        type: row.type,
+        url: row.url,
+        result: JSON.parse(row.result),
+        createdAt: toDate(row.created_at)
+    } : null;
+    
+    return {
+        driver: 'sqlite',
+        
+        async migrate() {
+            db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TEXT NOT NULL
+            )`);
+            
+            const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+            
+            SQLITE_MIGRATIONS.filter(m => !applied.has(m.version)).forEach(migration => {
+                db.transaction(() => {
+                    db.exec(migration.sql);
+                    db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+                        .run(migration.version, migration.name, new Date().toISOString());
+                })();
+                console.log(`Applied migration ${migration.version}: ${migration.name}`);
+            });
+        },
+        
+        async getCustomer(email) {
+            return rowToCustomer(db.prepare('SELECT * FROM customers WHERE email = ?').get(email));
+        },
+        
+        async saveCustomer(customer) {
+            db.prepare(`
+                INSERT INTO customers (email, name, access_code, join_date, payment_amount, last_login, status, revoked_at, branding)
+                VALUES (@email, @name, @accessCode, @joinDate, @paymentAmount, @lastLogin, @status, @revokedAt, @branding)
+                ON CONFLICT(email) DO UPDATE SET
+                    name = excluded.name,
+                    access_code = excluded.access_code,
+                    join_date = excluded.join_date,
+                    payment_amount = excluded.payment_amount,
+                    last_login = excluded.last_login,
+                    status = excluded.status,
+                    revoked_at = excluded.revoked_at,
+                    branding = excluded.branding
+            `).run({
+                email: customer.email,
+                name: customer.name,
+                accessCode: customer.accessCode,
+                joinDate: toISO(customer.joinDate),
+                paymentAmount: customer.paymentAmount,
+                lastLogin: toISO(customer.lastLogin),
+                status: customer.status || 'active',
+                revokedAt: toISO(customer.revokedAt),
+                branding: customer.branding ? JSON.stringify(customer.branding) : null
+            });
+        },
         
+        async countCustomers(status) {
+            if (status === undefined) {
+                return db.prepare('SELECT COUNT(*) AS count FROM customers').get().count;
+            }
+            return db.prepare('SELECT COUNT(*) AS count FROM customers WHERE status = ?').get(status).count;
+        },
+        
+        async listCustomers({ status, limit = 100 } = {}) {
+            const rows = status === undefined
+                ? db.prepare('SELECT * FROM customers ORDER BY join_date LIMIT ?').all(limit)
+                : db.prepare('SELECT * FROM customers WHERE status = ? ORDER BY join_date LIMIT ?').all(status, limit);
+            return rows.map(rowToCustomer);
+        },
+        
+        async createSession(session) {
+            db.prepare(`
+                INSERT INTO sessions (id, token_hash, customer_email, created_at, last_seen_at, expires_at, user_agent, ip_address)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(session.id, session.tokenHash, session.customerEmail, toISO(session.createdAt),
+                   toISO(session.lastSeenAt), toISO(session.expiresAt), session.userAgent, session.ipAddress);
+        },
+        
+        async getSessionByTokenHash(tokenHash) {
+            return rowToSession(db.prepare('SELECT * FROM sessions WHERE token_hash = ?').get(tokenHash));
+        },
+        
+        async listCustomerSessions(email) {
+            return db.prepare('SELECT * FROM sessions WHERE customer_email = ? ORDER BY last_seen_at DESC')
+                .all(email).map(rowToSession);
+        },
+        
+        async touchSession(id, lastSeenAt, expiresAt) {
+            db.prepare('UPDATE sessions SET last_seen_at = ?, expires_at = ? WHERE id = ?')
+                .run(toISO(lastSeenAt), toISO(expiresAt), id);
+        },
+        
+        async deleteSession(id) {
+            db.prepare('DELETE FROM sessions WHERE id = ?').run(id);
+        },
+        
+        async deleteCustomerSessions(email) {
+            db.prepare('DELETE FROM sessions WHERE customer_email = ?').run(email);
+        },
+        
+        async deleteExpiredSessions(now) {
+            db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(toISO(now));
+        },
+        
+        async saveAnalysis(analysis) {
+            db.prepare('INSERT INTO analyses (id, customer_email, type, url, result, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+                .run(analysis.id, analysis.customerEmail, analysis.type, analysis.url,
+                     JSON.stringify(analysis.result), toISO(analysis.createdAt));
+        },
+        
+        async getAnalysis(id) {
+            return rowToAnalysis(db.prepare('SELECT * FROM analyses WHERE id = ?').get(id));
+        },
+        
+        async listAnalyses({ customerEmail, url, type, limit = 50 } = {}) {
+            const conditions = [];
+            const params = {};
+            
+            if (customerEmail !== undefined) {
+                conditions.push(customerEmail === null ? 'customer_email IS NULL' : 'customer_email = @customerEmail');
+                params.customerEmail = customerEmail;
+            }
+            if (url !== undefined) {
+                conditions.push('url = @url');
+                params.url = url;
+            }
+            if (type !== undefined) {
+                conditions.push('type = @type');
+                params.type = type;
+            }
+            
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const rows = db.prepare(`SELECT * FROM analyses ${where} ORDER BY created_at DESC LIMIT @limit`)
+                .all({ ...params, limit: limit });
+            
+            return rows.map(rowToAnalysis);
+        },
+        
+        async sumUsage(email, since) {
+            return db.prepare('SELECT COALESCE(SUM(units), 0) AS total FROM usage WHERE customer_email = ? AND created_at >= ?')
+                .get(email, toISO(since)).total;
+        },
+        
+        // IMMEDIATE takes the write lock before the sums, so other connections
+        // can't charge in between
+        async chargeUsage(entry, limits) {
+            const sum = db.prepare('SELECT COALESCE(SUM(units), 0) AS total FROM usage WHERE customer_email = ? AND created_at >= ?');
+            const insert = db.prepare('INSERT INTO usage (customer_email, route, units, created_at) VALUES (?, ?, ?, ?)');
+            
+            return db.transaction(() => {
+                const used = limits.map(limit => sum.get(entry.customerEmail, toISO(limit.since)).total);
+                const charged = limits.every((limit, i) => used[i] + entry.units <= limit.limit);
+                if (charged) insert.run(entry.customerEmail, entry.route, entry.units, toISO(entry.createdAt));
+                return { charged: charged, used: used };
+            }).immediate();
+        },
+        
+        async recordLLMUsage(entry) {
+            db.prepare(`
+                INSERT INTO llm_usage (customer_email, provider, model, input_tokens, output_tokens, cost_usd, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(entry.customerEmail, entry.provider, entry.model, entry.inputTokens, entry.outputTokens, entry.costUsd, toISO(entry.createdAt));
+        },
+        
+        async summarizeLLMUsage(email, since) {
+            return db.prepare(`
+                SELECT COUNT(*) AS requests,
+                    COALESCE(SUM(input_tokens), 0) AS inputTokens,
+                    COALESCE(SUM(output_tokens), 0) AS outputTokens,
+                    COALESCE(SUM(cost_usd), 0) AS costUsd
+                FROM llm_usage WHERE customer_email = ? AND created_at >= ?
+            `).get(email, toISO(since));
+        },
+        
+        async saveWebhookEvent(event) {
+            db.prepare(`
+                INSERT INTO webhook_events (id, type, payload, status, received_at, processed_at, result, error)
+                VALUES (@id, @type, @payload, @status, @receivedAt, @processedAt, @result, @error)
+                ON CONFLICT(id) DO UPDATE SET
+                    status = excluded.status,
+                    processed_at = excluded.processed_at,
+                    result = excluded.result,
+                    error = excluded.error
+            `).run({
+                id: event.id,
+                type: event.type,
+                payload: JSON.stringify(event.payload),
+                status: event.status,
+                receivedAt: toISO(event.receivedAt),
+                processedAt: toISO(event.processedAt),
+                result: event.result ? JSON.stringify(event.result) : null,
+                error: event.error
+            });
+        },
+        
+        async claimWebhookEvent(event) {
+            const info = db.prepare(`
+                INSERT INTO webhook_events (id, type, payload, status, received_at, processed_at, result, error)
+                VALUES (@id, @type, @payload, @status, @receivedAt, NULL, NULL, NULL)
+                ON CONFLICT(id) DO UPDATE SET
+                    payload = excluded.payload,
+                    status = excluded.status,
+                    processed_at = NULL,
+                    result = NULL,
+                    error = NULL
+                WHERE webhook_events.status = 'failed'
+            `).run({
+                id: event.id,
+                type: event.type,
+                payload: JSON.stringify(event.payload),
+                status: event.status,
+                receivedAt: toISO(event.receivedAt)
+            });
+            return info.changes === 1;
+        },
+        
+        async getWebhookEvent(id) {
+            return rowToWebhookEvent(db.prepare('SELECT * FROM webhook_events WHERE id = ?').get(id));
+        },
+        
+        async listWebhookEvents({ status, limit = 100 } = {}) {
+            const rows = status === undefined
+                ? db.prepare('SELECT * FROM webhook_events ORDER BY received_at DESC LIMIT ?').all(limit)
+                : db.prepare('SELECT * FROM webhook_events WHERE status = ? ORDER BY received_at DESC LIMIT ?').all(status, limit);
+            return rows.map(rowToWebhookEvent);
+        },
+        
+        async saveMonitor(monitor) {
+            db.prepare(`
+                INSERT INTO monitors (id, customer_email, url, schedule, alert_email, webhook_url, score_drop_threshold,
+                                      enabled, created_at, next_run_at, last_run_at, last_result, last_error)
+                VALUES (@id, @customerEmail, @url, @schedule, @alertEmail, @webhookUrl, @scoreDropThreshold,
+                        @enabled, @createdAt, @nextRunAt, @lastRunAt, @lastResult, @lastError)
+                ON CONFLICT(id) DO UPDATE SET
+                    schedule = excluded.schedule,
+                    alert_email = excluded.alert_email,
+                    webhook_url = excluded.webhook_url,
+                    score_drop_threshold = excluded.score_drop_threshold,
+                    enabled = excluded.enabled,
+                    next_run_at = excluded.next_run_at,
+                    last_run_at = excluded.last_run_at,
+                    last_result = excluded.last_result,
+                    last_error = excluded.last_error
+            `).run({
+                id: monitor.id,
+                customerEmail: monitor.customerEmail,
+                url: monitor.url,
+                schedule: monitor.schedule,
+                alertEmail: monitor.alertEmail ? 1 : 0,
+                webhookUrl: monitor.webhookUrl,
+                scoreDropThreshold: monitor.scoreDropThreshold,
+                enabled: monitor.enabled ? 1 : 0,
+                createdAt: toISO(monitor.createdAt),
+                nextRunAt: toISO(monitor.nextRunAt),
+                lastRunAt: toISO(monitor.lastRunAt),
+                lastResult: monitor.lastResult ? JSON.stringify(monitor.lastResult) : null,
+                lastError: monitor.lastError
+            });
+        },
+        
+        async getMonitor(id) {
+            return rowToMonitor(db.prepare('SELECT * FROM monitors WHERE id = ?').get(id));
+        },
+        
+        async listMonitors(email) {
+            return db.prepare('SELECT * FROM monitors WHERE customer_email = ? ORDER BY created_at')
+                .all(email).map(rowToMonitor);
+        },
+        
+        async listDueMonitors(now) {
+            return db.prepare('SELECT * FROM monitors WHERE enabled = 1 AND next_run_at <= ?')
+                .all(toISO(now)).map(rowToMonitor);
+        },
+        
+        async deleteMonitor(id) {
+            db.prepare('DELETE FROM monitors WHERE id = ?').run(id);
+        },
+        
+        async getKeywordCorpus(language, terms) {
+            const documents = db.prepare('SELECT COUNT(*) AS count FROM keyword_corpus_documents WHERE language = ?')
+                .get(language).count;
+            const frequencies = {};
+            terms.forEach(term => { frequencies[term] = 0; });
+            
+            // Batched to stay under SQLite's bound parameter limit
+            for (let i = 0; i < terms.length; i += 500) {
+                const batch = terms.slice(i, i + 500);
+                db.prepare(`SELECT term, document_count FROM keyword_corpus_terms
+                            WHERE language = ? AND term IN (${batch.map(() => '?').join(', ')})`)
+                    .all(language, ...batch)
+                    .forEach(row => { frequencies[row.term] = row.document_count; });
+            }
+            
+            return { documents: documents, frequencies: frequencies };
+        },
+        
+        // Each URL counts once, however often it is re-analyzed
+        async addKeywordCorpusDocument(language, url, terms) {
+            const insertDocument = db.prepare(
+                'INSERT OR IGNORE INTO keyword_corpus_documents (language, url, added_at) VALUES (?, ?, ?)');
+            const incrementTerm = db.prepare(`
+                INSERT INTO keyword_corpus_terms (language, term, document_count) VALUES (?, ?, 1)
+                ON CONFLICT(language, term) DO UPDATE SET document_count = document_count + 1
+            `);
+            
+            return db.transaction(() => {
+                if (insertDocument.run(language, url, new Date().toISOString()).changes === 0) return false;
+                terms.forEach(term => incrementTerm.run(language, term));
+                return true;
+            })();
+        }
+    };
+}
+
+async function initStorage() {
+    await storage.migrate();
+    
+    // Add test customer for demo
+    if (!await storage.getCustomer('test@example.com')) {
+        await storage.saveCustomer({
+            email: 'test@example.com',
+            name: 'Test User',
+            accessCode: 'TEST123',
+            joinDate: new Date(),
+            paymentAmount: 97,
+            lastLogin: null,
+            status: 'active',
+            revokedAt: null
+        });
+    }
+}
+
+// Saves an analysis result; storage failures never fail the analysis itself
+async function recordAnalysis(type, url, result, customer) {
+    const id = crypto.randomBytes(8).toString('hex');
+    
+    try {
+        await storage.saveAnalysis({
+            id: id,
+            customerEmail: customer ? customer.email : null,
+            type: type,
+            url: normalizeAnalysisUrl(url),
+            result: result,
+            createdAt: new Date()
+        });
+        return id;
     } catch (error) {
-        return {
-            recommendations: [
-                'Optimize page titles for target keywords',
-                'Add meta descriptions to improve CTR',
-                'Improve page loading speed',
-                'Add structured data markup'
-            ]
-        };
+        console.error('Failed to store analysis:', error.message);
+        return null;
+    }
+}
+
+// Stored URLs are normalized so history lookups match "example.com/" and
+// "example.com"; non-URL subjects (SERP keywords) are kept as given
+function normalizeAnalysisUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    } catch (e) {
+        return url;
     }
 }
 
-function generateIssues(technical, brokenLinks) {
+function generateIssues(technical, brokenLinks, keywordTargeting, pageSpeed) {
     const issues = [];
     if (!technical.hasTitle) issues.push('Missing page title');
     if (!technical.hasMetaDescription) issues.push('Missing meta description');
     if (!technical.hasH1) issues.push('Missing H1 heading');
     if (!technical.hasSSL) issues.push('Website not using HTTPS');
     if (brokenLinks && brokenLinks.length > 0) issues.push(`${brokenLinks.length} broken links found`);
+    if (keywordTargeting) {
+        keywordTargeting.keywords
+            .filter(target => ['D', 'F'].includes(target.grade))
+            .forEach(target => issues.push(`Page poorly targets "${target.keyword}" (grade ${target.grade})`));
+    }
+    getPageSpeedIssues(pageSpeed).forEach(issue => issues.push(issue));
     return issues;
 }
 
-function generateOpportunities(technical) {
+function generateOpportunities(technical, pageSpeed, performanceEstimate) {
     const opportunities = [];
     if (!technical.hasSchemaMarkup) opportunities.push('Add structured data markup');
-    opportunities.push('Improve page loading speed');
+    const speedOpportunities = performanceEstimate
+        ? performanceEstimate.findings.slice(0, 3).map(finding => finding.recommendation)
+        : getPageSpeedOpportunities(pageSpeed);
+    if (speedOpportunities.length > 0) opportunities.push(...speedOpportunities);
+    else opportunities.push('Improve page loading speed');
     return opportunities;
 }
 
@@ -1265,12 +8059,22 @@ function calculateOverallScore(results) {
 
 // Start server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`🚀 Molaison AI Backend running on port ${PORT}`);
-    console.log(`🔗 Real broken links detection enabled`);
-    console.log(`🔍 Real keyword extraction enabled`);
-    console.log(`🤖 Real GEO analysis enabled`);
-    console.log(`🔧 Real technical SEO analysis enabled`);
+initStorage().then(() => {
+    app.listen(PORT, () => {
+        console.log(`🚀 Molaison AI Backend running on port ${PORT}`);
+        console.log(`💾 Storage: ${storage.driver}`);
+        console.log(`🧠 AI recommendations: ${llmProvider ? `${llmProvider.name} (${llmProvider.model})` : 'disabled'}`);
+        console.log(`🔗 Real broken links detection enabled`);
+        console.log(`🔍 Real keyword extraction enabled`);
+        console.log(`🤖 Real GEO analysis enabled`);
+        console.log(`📣 AI visibility checks: ${geoVisibilityProviders.length > 0 ? geoVisibilityProviders.map(provider => provider.name).join(', ') : 'disabled'}`);
+        console.log(`🔧 Real technical SEO analysis enabled`);
+        console.log(`⏰ Scheduled audits enabled`);
+    });
+    startMonitorScheduler();
+}).catch(error => {
+    console.error('Failed to initialize storage:', error);
+    process.exit(1);
 });
 
 module.exports = app;